@@ -0,0 +1,10 @@
+-- Run lifecycle events (apply with: wrangler d1 migrations apply frost-autofix-db)
+CREATE TABLE IF NOT EXISTS fix_run_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  run_id INTEGER NOT NULL,
+  stage TEXT NOT NULL,
+  detail TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  FOREIGN KEY (run_id) REFERENCES fix_runs(id)
+);
+CREATE INDEX IF NOT EXISTS idx_fix_run_events_run ON fix_run_events(run_id, id);
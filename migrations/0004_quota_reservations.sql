@@ -0,0 +1,4 @@
+-- Quota reservations (apply with: wrangler d1 migrations apply frost-autofix-db)
+ALTER TABLE usage_monthly ADD COLUMN reserved INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE fix_runs ADD COLUMN quota_month TEXT;
+ALTER TABLE fix_runs ADD COLUMN quota_state TEXT;
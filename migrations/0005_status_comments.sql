@@ -0,0 +1,5 @@
+-- Status comment and check run published for each run
+ALTER TABLE fix_runs ADD COLUMN status_comment_id INTEGER;
+ALTER TABLE fix_runs ADD COLUMN status_state TEXT;
+ALTER TABLE fix_runs ADD COLUMN status_detail TEXT;
+ALTER TABLE fix_runs ADD COLUMN check_run_id INTEGER;
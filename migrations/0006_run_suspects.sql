@@ -0,0 +1,2 @@
+-- Ranked stack-trace locations the consumer found before running the agent
+ALTER TABLE fix_runs ADD COLUMN suspects TEXT;
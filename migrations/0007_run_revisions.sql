@@ -0,0 +1,3 @@
+-- Revisions: follow-up runs that address review feedback on a fix PR
+ALTER TABLE fix_runs ADD COLUMN kind TEXT NOT NULL DEFAULT 'fix';
+ALTER TABLE fix_runs ADD COLUMN parent_run_id INTEGER;
@@ -0,0 +1,2 @@
+-- CI repairs remember the failing PR head so one failure queues at most one repair
+ALTER TABLE fix_runs ADD COLUMN head_sha TEXT;
@@ -0,0 +1,7 @@
+-- PR outcomes: what became of each fix PR, for merge rate and time-to-merge
+ALTER TABLE fix_runs ADD COLUMN pr_state TEXT;
+ALTER TABLE fix_runs ADD COLUMN pr_opened_at TEXT;
+ALTER TABLE fix_runs ADD COLUMN pr_closed_at TEXT;
+ALTER TABLE fix_runs ADD COLUMN pr_merged_at TEXT;
+ALTER TABLE fix_runs ADD COLUMN human_commits INTEGER;
+UPDATE fix_runs SET pr_state='open', pr_opened_at=completed_at WHERE kind='fix' AND status='success' AND pr_number IS NOT NULL;
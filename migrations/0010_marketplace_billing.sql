@@ -0,0 +1,26 @@
+-- Marketplace billing: plan details from marketplace_purchase events, the plan to restore after a suspension, and plan history
+ALTER TABLE installations ADD COLUMN account_id INTEGER;
+ALTER TABLE installations ADD COLUMN billing_cycle TEXT;
+ALTER TABLE installations ADD COLUMN next_billing_date TEXT;
+ALTER TABLE installations ADD COLUMN on_free_trial INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE installations ADD COLUMN free_trial_ends_on TEXT;
+ALTER TABLE installations ADD COLUMN pending_plan TEXT;
+ALTER TABLE installations ADD COLUMN pending_plan_date TEXT;
+ALTER TABLE installations ADD COLUMN previous_plan TEXT;
+CREATE TABLE IF NOT EXISTS plan_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  account_id INTEGER,
+  account_login TEXT NOT NULL,
+  action TEXT NOT NULL,
+  plan TEXT,
+  pr_limit INTEGER,
+  marketplace_plan TEXT,
+  billing_cycle TEXT,
+  next_billing_date TEXT,
+  on_free_trial INTEGER NOT NULL DEFAULT 0,
+  free_trial_ends_on TEXT,
+  effective_date TEXT,
+  sender_login TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+CREATE INDEX IF NOT EXISTS idx_plan_history_account ON plan_history(account_login, id);
@@ -0,0 +1,14 @@
+-- Backfill: open issues with a trigger label found when a repo is added, queued a few at a time by the cron
+CREATE TABLE IF NOT EXISTS backfill_issues (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  installation_id INTEGER NOT NULL,
+  repo TEXT NOT NULL,
+  issue_number INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  reason TEXT,
+  run_id INTEGER,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE(installation_id, repo, issue_number)
+);
+CREATE INDEX IF NOT EXISTS idx_backfill_issues_pending ON backfill_issues(status, installation_id, id);
@@ -0,0 +1,9 @@
+-- Run artifacts: the agent's summary, the diff and the tail of the agent log, uploaded with the run's result
+CREATE TABLE IF NOT EXISTS run_artifacts (
+  run_id INTEGER PRIMARY KEY,
+  summary TEXT,
+  diff TEXT,
+  log TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+CREATE INDEX IF NOT EXISTS idx_run_artifacts_created ON run_artifacts(created_at);
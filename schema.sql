@@ -6,8 +6,16 @@ CREATE TABLE IF NOT EXISTS installations (
   github_installation_id INTEGER UNIQUE NOT NULL,
   account_login TEXT NOT NULL,
   account_type TEXT NOT NULL DEFAULT 'User', -- User | Organization
-  plan TEXT NOT NULL DEFAULT 'free',          -- free | pro
-  pr_limit INTEGER NOT NULL DEFAULT 5,
+  account_id INTEGER,                         -- GitHub account id, Marketplace events identify accounts by it
+  plan TEXT NOT NULL DEFAULT 'free',          -- free | pro | suspended
+  pr_limit INTEGER NOT NULL DEFAULT 5,        -- -1 means unlimited
+  billing_cycle TEXT,                         -- monthly | yearly, for paid Marketplace plans
+  next_billing_date TEXT,                     -- renewal date
+  on_free_trial INTEGER NOT NULL DEFAULT 0,
+  free_trial_ends_on TEXT,
+  pending_plan TEXT,                          -- plan a Marketplace downgrade or cancellation switches to
+  pending_plan_date TEXT,                     -- when it does
+  previous_plan TEXT,                         -- plan to restore when a suspended installation is unsuspended
   created_at TEXT NOT NULL DEFAULT (datetime('now')),
   updated_at TEXT NOT NULL DEFAULT (datetime('now'))
 );
@@ -19,19 +27,45 @@ CREATE TABLE IF NOT EXISTS fix_runs (
   repo TEXT NOT NULL,
   issue_number INTEGER NOT NULL,
   pr_number INTEGER,
-  status TEXT NOT NULL DEFAULT 'queued', -- queued | processing | success | failed | skipped
+  status TEXT NOT NULL DEFAULT 'queued', -- queued | processing | success | needs_info | no_fix | failed | cancelled | skipped | blocked
   error_message TEXT,
+  quota_month TEXT,                      -- YYYY-MM the run reserved a PR slot in
+  quota_state TEXT,                      -- reserved | committed | released
+  status_comment_id INTEGER,             -- issue comment edited as the run progresses (0 while it is being created)
+  status_state TEXT,                     -- state shown in the status comment
+  status_detail TEXT,                    -- JSON details rendered with it
+  check_run_id INTEGER,                  -- check run on the PR head commit
+  suspects TEXT,                         -- JSON { ref, suspects: [{ file, line, function, lang, score }] } from stack traces
+  kind TEXT NOT NULL DEFAULT 'fix',      -- fix | revise (review feedback) | ci_repair (failed CI), the last two push to an existing PR
+  parent_run_id INTEGER,                 -- for revise / ci_repair: the latest run on the PR they follow up on
+  head_sha TEXT,                         -- for ci_repair: the PR head commit whose CI failed
+  pr_state TEXT,                         -- on fix runs that opened a PR: open | merged | closed (stale is an old open PR)
+  pr_opened_at TEXT,
+  pr_closed_at TEXT,                     -- set when merged or closed, cleared on reopen
+  pr_merged_at TEXT,
+  human_commits INTEGER,                 -- commits on the PR not pushed by frost-autofix, counted when it closes
   created_at TEXT NOT NULL DEFAULT (datetime('now')),
   completed_at TEXT,
   FOREIGN KEY (installation_id) REFERENCES installations(github_installation_id)
 );
 
+-- 运行生命周期事件 (queued → picked_up → clone_done → agent_started → pr_opened → finished)
+CREATE TABLE IF NOT EXISTS fix_run_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  run_id INTEGER NOT NULL,
+  stage TEXT NOT NULL, -- queued | picked_up | clone_done | agent_started | pr_opened | retry_scheduled | cancelled | finished | pr_merged | pr_closed | pr_reopened
+  detail TEXT,         -- JSON
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  FOREIGN KEY (run_id) REFERENCES fix_runs(id)
+);
+
 -- 月度用量
 CREATE TABLE IF NOT EXISTS usage_monthly (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   installation_id INTEGER NOT NULL,
   month TEXT NOT NULL, -- YYYY-MM
   pr_count INTEGER NOT NULL DEFAULT 0,
+  reserved INTEGER NOT NULL DEFAULT 0, -- slots held by queued/processing runs
   UNIQUE(installation_id, month),
   FOREIGN KEY (installation_id) REFERENCES installations(github_installation_id)
 );
@@ -54,9 +88,74 @@ CREATE TABLE IF NOT EXISTS user_installations (
   PRIMARY KEY (github_user_id, installation_id)
 );
 
+-- 审计日志 (被拒绝的触发、管理操作等)
+CREATE TABLE IF NOT EXISTS audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  installation_id INTEGER,
+  actor TEXT NOT NULL,  -- GitHub login
+  action TEXT NOT NULL, -- command_denied | policy_approved | backfill_scheduled | admin_plan_changed | admin_usage_reset | run_rerun | admin_run_cancelled | admin_run_redriven
+  target TEXT,          -- owner/repo#issue, account login, ...
+  detail TEXT,          -- JSON
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- 回填队列: 仓库接入时已带触发标签的 open issue，由 cron 逐个排队
+CREATE TABLE IF NOT EXISTS backfill_issues (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  installation_id INTEGER NOT NULL,
+  repo TEXT NOT NULL,
+  issue_number INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending', -- pending | queued | skipped
+  reason TEXT,                            -- why it was skipped: closed, already_handled, label_removed, limit_reached, ...
+  run_id INTEGER,                         -- the run it started
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE(installation_id, repo, issue_number)
+);
+
+-- 修复产物: 随结果回调上传，供控制台的任务详情页展示，保留 90 天
+CREATE TABLE IF NOT EXISTS run_artifacts (
+  run_id INTEGER PRIMARY KEY,
+  summary TEXT,         -- the agent's closing message
+  diff TEXT,            -- the diff that was judged, possibly truncated
+  log TEXT,             -- tail of the agent log
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- 套餐变更历史 (GitHub Marketplace marketplace_purchase 事件)
+CREATE TABLE IF NOT EXISTS plan_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  account_id INTEGER,
+  account_login TEXT NOT NULL,
+  action TEXT NOT NULL,      -- purchased | changed | pending_change | pending_change_cancelled | cancelled
+  plan TEXT,                 -- free | pro, what the Marketplace plan maps to
+  pr_limit INTEGER,
+  marketplace_plan TEXT,     -- Marketplace plan name
+  billing_cycle TEXT,
+  next_billing_date TEXT,
+  on_free_trial INTEGER NOT NULL DEFAULT 0,
+  free_trial_ends_on TEXT,
+  effective_date TEXT,       -- for pending changes and cancellations
+  sender_login TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- 已处理的 webhook (X-GitHub-Delivery)，用于忽略重投
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  delivery_id TEXT PRIMARY KEY,
+  event TEXT,
+  received_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
 -- 索引
 CREATE INDEX IF NOT EXISTS idx_fix_runs_repo ON fix_runs(repo, created_at);
 CREATE INDEX IF NOT EXISTS idx_fix_runs_installation ON fix_runs(installation_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_fix_run_events_run ON fix_run_events(run_id, id);
 CREATE INDEX IF NOT EXISTS idx_usage_monthly_lookup ON usage_monthly(installation_id, month);
+CREATE INDEX IF NOT EXISTS idx_audit_log_installation ON audit_log(installation_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_plan_history_account ON plan_history(account_login, id);
+CREATE INDEX IF NOT EXISTS idx_backfill_issues_pending ON backfill_issues(status, installation_id, id);
+CREATE INDEX IF NOT EXISTS idx_run_artifacts_created ON run_artifacts(created_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_received ON webhook_deliveries(received_at);
 CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires_at);
 CREATE INDEX IF NOT EXISTS idx_user_installations_user ON user_installations(github_user_id);
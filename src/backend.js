@@ -8,30 +8,52 @@ const http = require("http");
 const { execSync } = require("child_process");
 const fs = require("fs");
 const path = require("path");
+const { Queue } = require("./queue");
 
 const PORT = 9800;
 const BACKEND_TOKEN = process.env.BACKEND_TOKEN || "a1d61d560225762f338a087eaea17ae61a360da6";
 const QUEUE_DIR = "/root/.openclaw/autonomy/autofix-queue";
+const BLOCKED_DIR = "/root/.openclaw/autonomy/autofix-blocked"; // written by consumer.js
+// Pro installations are leased ahead of free ones ("Priority processing")
+const PLAN_PRIORITY = { pro: 10 };
 
-if (!fs.existsSync(QUEUE_DIR)) fs.mkdirSync(QUEUE_DIR, { recursive: true });
+const queue = new Queue(QUEUE_DIR);
+adoptLegacyTasks();
 
 const server = http.createServer(async (req, res) => {
   res.setHeader("Content-Type", "application/json");
 
   if (req.method === "GET" && req.url === "/health") {
-    const queueCount = fs.readdirSync(QUEUE_DIR).filter(f => f.endsWith(".json")).length;
-    res.end(JSON.stringify({ status: "ok", queue: queueCount }));
+    const stats = queue.stats();
+    res.end(JSON.stringify({ status: "ok", queue: stats.ready, ...stats }));
     return;
   }
 
-  // Accept both /autofix and /enqueue for compatibility
-  if (req.method === "POST" && (req.url === "/autofix" || req.url === "/enqueue")) {
-    const auth = req.headers.authorization || "";
-    if (auth !== `Bearer ${BACKEND_TOKEN}`) {
-      res.statusCode = 401;
-      res.end(JSON.stringify({ error: "unauthorized" }));
+  // Queue inspection and dead-letter re-drive
+  if (req.url.startsWith("/queue")) {
+    if (!authorized(req)) return unauthorized(res);
+    // Runs the queue still holds (waiting or leased); the Worker fails active runs missing from it
+    if (req.method === "GET" && req.url === "/queue/runs") {
+      const runIds = queue.list().filter(i => i.state !== "dead" && i.task.run_id).map(i => i.task.run_id);
+      res.end(JSON.stringify({ run_ids: [...new Set(runIds)] }));
+      return;
+    }
+    if (req.method === "GET" && req.url === "/queue/dead") {
+      res.end(JSON.stringify({ dead: queue.list("dead") }));
+      return;
+    }
+    const m = req.url.match(/^\/queue\/dead\/([\w-]+)\/redrive$/);
+    if (req.method === "POST" && m) {
+      const item = queue.redrive(m[1]);
+      if (!item) res.statusCode = 404;
+      res.end(JSON.stringify(item ? { status: "requeued", id: item.id } : { error: "not found" }));
       return;
     }
+  }
+
+  // Accept both /autofix and /enqueue for compatibility
+  if (req.method === "POST" && (req.url === "/autofix" || req.url === "/enqueue")) {
+    if (!authorized(req)) return unauthorized(res);
 
     let body = "";
     for await (const chunk of req) body += chunk;
@@ -43,12 +65,53 @@ const server = http.createServer(async (req, res) => {
       task.issue_title = task.issue_title || task.title || "";
       task.issue_body = task.issue_body || task.body || "";
 
-      const taskId = `${task.repo.replace("/", "-")}-${task.issue_number}-${Date.now()}`;
-      const taskFile = path.join(QUEUE_DIR, `${taskId}.json`);
-      fs.writeFileSync(taskFile, JSON.stringify(task, null, 2));
+      const item = enqueueTask(task);
+
+      console.log(`[${new Date().toISOString()}] Queued: ${item.id} ${task.repo}#${task.issue_number} (priority ${item.priority})`);
+      res.end(JSON.stringify({ status: "queued", taskId: item.id }));
+    } catch (e) {
+      res.statusCode = 400;
+      res.end(JSON.stringify({ error: e.message }));
+    }
+    return;
+  }
+
+  // Cancel a run: queued tasks are dropped, a running agent is killed by its consumer
+  if (req.method === "POST" && req.url === "/cancel") {
+    if (!authorized(req)) return unauthorized(res);
+    let body = "";
+    for await (const chunk of req) body += chunk;
+    try {
+      const { run_id } = JSON.parse(body);
+      if (!run_id) throw new Error("run_id is required");
+      const result = queue.cancel(run_id);
+      console.log(`[${new Date().toISOString()}] Cancel run ${run_id}: removed ${result.removed}, signalled ${result.signalled}`);
+      res.end(JSON.stringify({ status: "cancelled", ...result }));
+    } catch (e) {
+      res.statusCode = 400;
+      res.end(JSON.stringify({ error: e.message }));
+    }
+    return;
+  }
 
-      console.log(`[${new Date().toISOString()}] Queued: ${taskId}`);
-      res.end(JSON.stringify({ status: "queued", taskId }));
+  // Publish a diff the consumer held back for policy reasons, once a maintainer approved it
+  if (req.method === "POST" && req.url === "/approve") {
+    if (!authorized(req)) return unauthorized(res);
+    let body = "";
+    for await (const chunk of req) body += chunk;
+    try {
+      const { run_id, approved_by } = JSON.parse(body);
+      if (!run_id || !approved_by) throw new Error("run_id and approved_by are required");
+      const file = path.join(BLOCKED_DIR, `${Number(run_id)}.json`);
+      if (!fs.existsSync(file)) {
+        res.statusCode = 404;
+        res.end(JSON.stringify({ error: "no held diff for this run" }));
+        return;
+      }
+      const held = JSON.parse(fs.readFileSync(file, "utf-8"));
+      const item = enqueueTask({ ...held.task, approved_by });
+      console.log(`[${new Date().toISOString()}] Approved run ${run_id} by ${approved_by}: ${item.id}`);
+      res.end(JSON.stringify({ status: "queued", taskId: item.id }));
     } catch (e) {
       res.statusCode = 400;
       res.end(JSON.stringify({ error: e.message }));
@@ -60,6 +123,37 @@ const server = http.createServer(async (req, res) => {
   res.end(JSON.stringify({ error: "not found" }));
 });
 
+function enqueueTask(task) {
+  if (!task.repo || !task.issue_number) throw new Error("repo and issue_number are required");
+  return queue.enqueue(task, {
+    priority: PLAN_PRIORITY[task.plan] || 0,
+    group: task.installation_id || task.repo.split("/")[0],
+  });
+}
+
+// Move *.json task files written by the old file-based queue into the journal
+function adoptLegacyTasks() {
+  for (const f of fs.readdirSync(QUEUE_DIR).filter(f => f.endsWith(".json")).sort()) {
+    const file = path.join(QUEUE_DIR, f);
+    try {
+      enqueueTask(JSON.parse(fs.readFileSync(file, "utf-8")));
+      fs.unlinkSync(file);
+      console.log(`[${new Date().toISOString()}] Adopted legacy task: ${f}`);
+    } catch (e) {
+      console.error(`[${new Date().toISOString()}] Could not adopt ${f}: ${e.message}`);
+    }
+  }
+}
+
+function authorized(req) {
+  return (req.headers.authorization || "") === `Bearer ${BACKEND_TOKEN}`;
+}
+
+function unauthorized(res) {
+  res.statusCode = 401;
+  res.end(JSON.stringify({ error: "unauthorized" }));
+}
+
 server.listen(PORT, "0.0.0.0", () => {
   console.log(`frost-autofix backend v2 listening on :${PORT}`);
 });
@@ -0,0 +1,202 @@
+/**
+ * frost-autofix fix context — everything beyond the issue title and body that helps the agent
+ * Collects the comment thread, permalinks resolved to code snippets, linked issues and PRs, labels
+ * and log attachments, then keeps what fits AUTOFIX_CONTEXT_CHARS, most useful first. Every piece
+ * is untrusted input and goes through sanitizeUntrusted before it reaches the prompt.
+ */
+
+const { promisify } = require("util");
+const { execFile } = require("child_process");
+const { sanitizeUntrusted, untrustedBlock } = require("./sanitize");
+const { authEnv } = require("./credentials");
+
+const execFileAsync = promisify(execFile);
+
+const CONTEXT_CHARS = Number(process.env.AUTOFIX_CONTEXT_CHARS) || 30000;
+const MAX_COMMENTS = 100;
+const MAX_LINKED = 5;
+const MAX_SNIPPETS = 5;
+const MAX_SNIPPET_LINES = 80;
+const MAX_ATTACHMENTS = 3;
+const MAX_ATTACHMENT_BYTES = 2 * 1024 * 1024;
+const ATTACHMENT_TAIL = 8000; // errors are usually at the end of a log
+const MIN_PARTIAL = 1000;     // below this a truncated item is not worth keeping
+
+const PERMALINK = /https:\/\/github\.com\/([\w.-]+\/[\w.-]+)\/blob\/([\w.-]+)\/([^\s#?)>\]]+)#L(\d+)(?:-L(\d+))?/g;
+const ISSUE_URL = /https:\/\/github\.com\/([\w.-]+\/[\w.-]+)\/(?:issues|pull)\/(\d+)\b/g;
+const ISSUE_REF = /(?:^|[\s(,])(?:([\w.-]+\/[\w.-]+))?#(\d+)\b/g;
+const ATTACHMENT = /https:\/\/github\.com\/(?:user-attachments\/files|[\w.-]+\/[\w.-]+\/files)\/\d+\/[^\s)>\]]+\.(?:log|txt|out|err)\b/gi;
+const STACK_HINT = /```|Traceback|Exception|Error:|panicked at|\bat .+:\d+/;
+
+/**
+ * Build the context bundle for a task. Never throws: anything GitHub refuses is left out and logged.
+ * Returns { labels, sections, flags, stats } for renderContext, plus texts: the raw issue body and
+ * comment bodies, for stack-trace extraction.
+ */
+async function buildContext(task, { signal, log = () => {} } = {}) {
+  const gh = async path => JSON.parse(await ghApi(path, { signal }));
+  const items = [];
+  const stats = { comments: 0, snippets: 0, linked: 0, attachments: 0, omitted: 0, failed: 0 };
+  const attempt = async (what, fn) => {
+    try {
+      return await fn();
+    } catch (e) {
+      if (signal?.aborted) throw e;
+      stats.failed++;
+      log(`context: ${what} skipped: ${e.message.slice(0, 200)}`);
+      return null;
+    }
+  };
+
+  const issue = await attempt("issue", () => gh(`repos/${task.repo}/issues/${task.issue_number}`));
+  const labels = (issue?.labels || []).map(l => (typeof l === "string" ? l : l.name)).filter(Boolean);
+  const author = issue?.user?.login;
+
+  const comments = (await attempt("comments", () => gh(`repos/${task.repo}/issues/${task.issue_number}/comments?per_page=${MAX_COMMENTS}`))) || [];
+  const texts = [task.issue_body || ""];
+  comments.forEach((c, i) => {
+    if (c.user?.type === "Bot" || isCommandOnly(c.body)) return;
+    texts.push(c.body || "");
+    const byAuthor = c.user?.login === author;
+    items.push({
+      section: "comments", order: i, priority: (byAuthor ? 3 : 2) + (STACK_HINT.test(c.body || "") ? 1 : 0),
+      label: "comment", header: `@${c.user?.login || "ghost"}${byAuthor ? "（issue 作者）" : ""}，${(c.created_at || "").slice(0, 10)}`,
+      text: c.body || "",
+    });
+  });
+  const corpus = texts.join("\n");
+
+  // Only this repository's code and issues: the installation token can read other repositories the
+  // app is installed on, which the issue's author may not be allowed to see
+  const sameRepo = repo => repo.toLowerCase() === task.repo.toLowerCase();
+
+  const permalinks = uniqueMatches(corpus, PERMALINK, m => m[0]).filter(m => sameRepo(m[1]));
+  for (const [i, link] of permalinks.slice(0, MAX_SNIPPETS).entries()) {
+    const [, repo, ref, file, from, to] = link;
+    const start = Number(from);
+    const end = Math.min(Number(to || from), start + MAX_SNIPPET_LINES - 1);
+    const source = await attempt(`permalink ${file}`, () => ghApi(`repos/${repo}/contents/${file}?ref=${ref}`, { signal, raw: true }));
+    if (source == null) continue;
+    const lines = source.split("\n").slice(start - 1, end);
+    if (!lines.length) continue;
+    items.push({
+      section: "snippets", order: i, priority: 4,
+      label: "snippet", header: `${file} 第 ${start}-${start + lines.length - 1} 行（${ref.slice(0, 12)}）`,
+      text: lines.map((l, n) => `${start + n} | ${l}`).join("\n"),
+    });
+  }
+
+  const refs = [
+    ...uniqueMatches(corpus, ISSUE_URL, m => `${m[1]}#${m[2]}`).map(m => [m[1], m[2]]),
+    ...uniqueMatches(corpus, ISSUE_REF, m => `${m[1] || task.repo}#${m[2]}`).map(m => [m[1] || task.repo, m[2]]),
+  ];
+  const seen = new Set([`${task.repo}#${task.issue_number}`]);
+  let linked = 0;
+  for (const [repo, number] of refs) {
+    const key = `${repo}#${number}`;
+    if (!sameRepo(repo) || seen.has(key) || linked >= MAX_LINKED) continue;
+    seen.add(key);
+    const ref = await attempt(`linked ${key}`, () => gh(`repos/${repo}/issues/${number}`));
+    if (!ref) continue;
+    items.push({
+      section: "linked", order: linked++, priority: 1,
+      label: "linked", header: `${key}（${ref.pull_request ? "PR" : "issue"}，${ref.state}）`,
+      text: `${ref.title}\n\n${(ref.body || "").slice(0, 3000)}`,
+    });
+  }
+
+  for (const [i, url] of uniqueMatches(corpus, ATTACHMENT, m => m[0]).slice(0, MAX_ATTACHMENTS).map(m => m[0]).entries()) {
+    const text = await attempt(`attachment ${url}`, () => fetchAttachment(url, signal));
+    if (text == null) continue;
+    items.push({
+      section: "attachments", order: i, priority: 2,
+      label: "attachment", header: url.split("/").pop(),
+      text: text.length > ATTACHMENT_TAIL ? `[… 只保留最后 ${ATTACHMENT_TAIL} 个字符]\n${text.slice(-ATTACHMENT_TAIL)}` : text,
+    });
+  }
+
+  // Spend the budget on the most useful items, then put them back in their original order
+  const flags = new Set();
+  const kept = [];
+  let remaining = CONTEXT_CHARS;
+  for (const item of [...items].sort((a, b) => b.priority - a.priority || a.order - b.order)) {
+    const clean = sanitizeUntrusted(item.text, { maxLength: Math.max(remaining, MIN_PARTIAL) });
+    const cost = clean.text.length + item.header.length;
+    if (cost > remaining && remaining < MIN_PARTIAL) {
+      stats.omitted++;
+      continue;
+    }
+    clean.flags.forEach(f => flags.add(f));
+    kept.push({ ...item, text: clean.text });
+    stats[item.section]++;
+    remaining -= cost;
+  }
+  const sections = {};
+  for (const item of kept.sort((a, b) => a.order - b.order)) (sections[item.section] ||= []).push(item);
+  return { labels, sections, flags: [...flags], stats, texts };
+}
+
+const SECTION_TITLES = {
+  comments: "评论",
+  snippets: "issue 中链接的代码",
+  attachments: "日志附件",
+  linked: "关联的 issue / PR",
+};
+
+// Prompt text for the bundle; empty when there is nothing beyond title and body
+function renderContext(bundle) {
+  const parts = [];
+  if (bundle.labels.length) parts.push(`标签: ${bundle.labels.join(", ")}`);
+  for (const [section, title] of Object.entries(SECTION_TITLES)) {
+    const items = bundle.sections[section];
+    if (!items?.length) continue;
+    parts.push(`### ${title}\n${items.map(i => `${i.header}:\n${untrustedBlock(i.label, i.text)}`).join("\n\n")}`);
+  }
+  if (bundle.stats.omitted) parts.push(`（另有 ${bundle.stats.omitted} 项内容因长度限制被省略）`);
+  return parts.join("\n\n");
+}
+
+// `/fix` comments only carry instructions for the bot, which reach the agent as the hint
+function isCommandOnly(body) {
+  return /^\/(?:fix|autofix)\b[^\n]*$/i.test((body || "").trim());
+}
+
+function uniqueMatches(text, pattern, keyOf) {
+  const seen = new Set();
+  const out = [];
+  for (const m of text.matchAll(pattern)) {
+    const key = keyOf(m);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(m);
+  }
+  return out;
+}
+
+async function ghApi(path, { signal, raw = false }) {
+  const args = ["api", ...(raw ? ["-H", "Accept: application/vnd.github.raw"] : []), path];
+  try {
+    const { stdout } = await execFileAsync("gh", args, { signal, env: authEnv(), timeout: 30000, encoding: "utf-8", maxBuffer: 10 * 1024 * 1024 });
+    return stdout;
+  } catch (e) {
+    if (signal?.aborted) throw e;
+    throw new Error(`gh api ${path} failed: ${(e.stderr || e.message).trim().slice(0, 300)}`);
+  }
+}
+
+async function fetchAttachment(url, signal) {
+  const res = await fetch(url, { redirect: "follow", signal: AbortSignal.any([signal || new AbortController().signal, AbortSignal.timeout(30000)]) });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  if (Number(res.headers.get("content-length")) > MAX_ATTACHMENT_BYTES) throw new Error("too large");
+  // Chunked responses have no content-length, so the body is counted as it streams in
+  const chunks = [];
+  let bytes = 0;
+  for await (const chunk of res.body || []) {
+    bytes += chunk.length;
+    if (bytes > MAX_ATTACHMENT_BYTES) throw new Error("too large"); // leaving the loop cancels the download
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf-8");
+}
+
+module.exports = { buildContext, renderContext };
@@ -0,0 +1,65 @@
+/**
+ * frost-autofix repository credentials for one run
+ * The Worker mints an installation token limited to the run's repository. It reaches git and gh
+ * only through the environment of each call (an HTTP header for git, GH_TOKEN for gh): never
+ * argv, remote URLs, git config files, the agent's sandbox or its prompt. A consumer process
+ * handles one task, so the token lives in this module for the length of the run.
+ */
+
+const REFRESH_MS = 10 * 60 * 1000; // tokens last an hour; get a new one when less than this is left
+
+let current = null;
+
+/**
+ * Get (or refresh) the token for task.run_id from the Worker's token endpoint. A refusal from the
+ * Worker (private repo on the free plan, finished run) throws a permanent error; tasks queued
+ * before run ids existed keep using whatever credentials the host has.
+ */
+async function authorize(task, { url, auth, signal }) {
+  if (!task.run_id) return;
+  if (current?.runId === task.run_id && current.expiresAt - Date.now() > REFRESH_MS) return;
+  let res;
+  try {
+    res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${auth}` },
+      body: JSON.stringify({ run_id: task.run_id }),
+      signal: AbortSignal.any([signal || new AbortController().signal, AbortSignal.timeout(30000)]),
+    });
+  } catch (e) {
+    if (signal?.aborted) throw e;
+    throw new Error(`Requesting a repository token failed: ${e.message}`);
+  }
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || !data.token) {
+    const err = new Error(data.message || `Requesting a repository token failed with HTTP ${res.status}`);
+    err.permanent = res.status >= 400 && res.status < 500;
+    throw err;
+  }
+  current = { runId: task.run_id, token: data.token, expiresAt: Date.parse(data.expires_at) || Date.now() + 60 * 60 * 1000 };
+}
+
+// Environment for git and gh calls that talk to GitHub
+function authEnv() {
+  if (!current) return process.env;
+  const basic = Buffer.from(`x-access-token:${current.token}`).toString("base64");
+  // Appended to any config the host already passes through the environment
+  const n = Number(process.env.GIT_CONFIG_COUNT) || 0;
+  return {
+    ...process.env,
+    GH_TOKEN: current.token,
+    GIT_TERMINAL_PROMPT: "0",
+    GIT_CONFIG_COUNT: String(n + 1),
+    [`GIT_CONFIG_KEY_${n}`]: "http.https://github.com/.extraheader",
+    [`GIT_CONFIG_VALUE_${n}`]: `AUTHORIZATION: basic ${basic}`,
+  };
+}
+
+// Text with the token removed, for anything that is logged or sent to the Worker
+function redact(text) {
+  if (!current || typeof text !== "string") return text;
+  const basic = Buffer.from(`x-access-token:${current.token}`).toString("base64");
+  return text.split(current.token).join("[token]").split(basic).join("[token]");
+}
+
+module.exports = { authorize, authEnv, redact };
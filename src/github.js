@@ -0,0 +1,131 @@
+/**
+ * frost-autofix — GitHub App client for the Worker
+ * Installation-scoped Octokit instances, cached per isolate so tokens are reused
+ */
+
+import { Octokit } from "@octokit/rest";
+import { createAppAuth } from "@octokit/auth-app";
+
+const clients = new Map();
+
+export function installationOctokit(env, installationId) {
+  if (!env.GITHUB_APP_ID || !env.GITHUB_APP_PRIVATE_KEY) throw new Error("GitHub App credentials not configured");
+  let client = clients.get(installationId);
+  if (!client) {
+    client = new Octokit({
+      authStrategy: createAppAuth,
+      auth: { appId: env.GITHUB_APP_ID, privateKey: env.GITHUB_APP_PRIVATE_KEY, installationId },
+      userAgent: "frost-autofix",
+    });
+    clients.set(installationId, client);
+  }
+  return client;
+}
+
+// Raw file contents at the default branch; null when the file does not exist
+export async function getRepoFile(octokit, repo, filePath) {
+  const [owner, name] = repo.split("/");
+  try {
+    const res = await octokit.repos.getContent({ owner, repo: name, path: filePath, mediaType: { format: "raw" } });
+    return typeof res.data === "string" ? res.data : null;
+  } catch (e) {
+    if (e.status === 404) return null;
+    throw e;
+  }
+}
+
+export async function commentOnIssue(octokit, repo, issueNumber, body) {
+  const [owner, name] = repo.split("/");
+  const res = await octokit.issues.createComment({ owner, repo: name, issue_number: issueNumber, body });
+  return res.data;
+}
+
+export async function updateComment(octokit, repo, commentId, body) {
+  const [owner, name] = repo.split("/");
+  const res = await octokit.issues.updateComment({ owner, repo: name, comment_id: commentId, body });
+  return res.data;
+}
+
+export async function getPullRequest(octokit, repo, pullNumber) {
+  const [owner, name] = repo.split("/");
+  const res = await octokit.pulls.get({ owner, repo: name, pull_number: pullNumber });
+  return res.data;
+}
+
+// Completed check run on a commit; output is { title, summary, text }
+export async function createCheckRun(octokit, repo, { headSha, name, conclusion, output }) {
+  const [owner, repoName] = repo.split("/");
+  const res = await octokit.checks.create({
+    owner, repo: repoName, name, head_sha: headSha, status: "completed", conclusion,
+    completed_at: new Date().toISOString(), output,
+  });
+  return res.data;
+}
+
+export async function getIssue(octokit, repo, issueNumber) {
+  const [owner, name] = repo.split("/");
+  const res = await octokit.issues.get({ owner, repo: name, issue_number: issueNumber });
+  return res.data;
+}
+
+// Inline comments that belong to one review
+export async function listReviewComments(octokit, repo, pullNumber, reviewId) {
+  const [owner, name] = repo.split("/");
+  const res = await octokit.pulls.listCommentsForReview({ owner, repo: name, pull_number: pullNumber, review_id: reviewId, per_page: 100 });
+  return res.data;
+}
+
+// Inline comments on a pull request updated after since (an ISO timestamp, or null for all), oldest first
+export async function listPullReviewComments(octokit, repo, pullNumber, since) {
+  const [owner, name] = repo.split("/");
+  const res = await octokit.pulls.listReviewComments({
+    owner, repo: name, pull_number: pullNumber, sort: "created", direction: "asc", per_page: 100, ...(since ? { since } : {}),
+  });
+  return res.data;
+}
+
+// Jobs of the latest attempt of a workflow run
+export async function listWorkflowJobs(octokit, repo, runId) {
+  const [owner, name] = repo.split("/");
+  const res = await octokit.actions.listJobsForWorkflowRun({ owner, repo: name, run_id: runId, filter: "latest", per_page: 100 });
+  return res.data.jobs;
+}
+
+// Plain-text log of one job (GitHub answers with a redirect to the log file)
+export async function getJobLog(octokit, repo, jobId) {
+  const [owner, name] = repo.split("/");
+  const res = await octokit.actions.downloadJobLogsForWorkflowRun({ owner, repo: name, job_id: jobId });
+  return typeof res.data === "string" ? res.data : String(res.data || "");
+}
+
+export async function listSuiteCheckRuns(octokit, repo, checkSuiteId) {
+  const [owner, name] = repo.split("/");
+  const res = await octokit.checks.listForSuite({ owner, repo: name, check_suite_id: checkSuiteId, per_page: 100 });
+  return res.data.check_runs;
+}
+
+export async function getRepository(octokit, repo) {
+  const [owner, name] = repo.split("/");
+  const res = await octokit.repos.get({ owner, repo: name });
+  return res.data;
+}
+
+// Installation token limited to one repository and the given permissions; GitHub expires it after an hour
+export async function createRepoToken(env, installationId, repo, permissions) {
+  if (!env.GITHUB_APP_ID || !env.GITHUB_APP_PRIVATE_KEY) throw new Error("GitHub App credentials not configured");
+  const auth = createAppAuth({ appId: env.GITHUB_APP_ID, privateKey: env.GITHUB_APP_PRIVATE_KEY });
+  const res = await auth({ type: "installation", installationId, repositoryNames: [repo.split("/")[1]], permissions });
+  return { token: res.token, expires_at: res.expiresAt };
+}
+
+// Open issues (pull requests left out), oldest first, from at most maxPages pages of 100
+export async function listOpenIssues(octokit, repo, { maxPages = 10 } = {}) {
+  const [owner, name] = repo.split("/");
+  const issues = [];
+  for (let page = 1; page <= maxPages; page++) {
+    const res = await octokit.issues.listForRepo({ owner, repo: name, state: "open", sort: "created", direction: "asc", per_page: 100, page });
+    issues.push(...res.data.filter(i => !i.pull_request));
+    if (res.data.length < 100) break;
+  }
+  return issues;
+}
@@ -0,0 +1,13 @@
+/**
+ * frost-autofix — limit/offset paging for the Worker's list endpoints
+ */
+
+const PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// limit and offset from the query string; missing or malformed values fall back to the defaults
+export function pageParams(params) {
+  const limit = Math.min(Math.max(Number.parseInt(params.get("limit"), 10) || PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(Number.parseInt(params.get("offset"), 10) || 0, 0);
+  return { limit, offset };
+}
@@ -0,0 +1,134 @@
+/**
+ * frost-autofix diff policy — checks a finished run's diff before it may become a PR
+ * A change is blocked when it touches CI configuration, credential-like files or paths outside the
+ * repo config's allow/deny globs, or when it adds network calls. Blocked diffs are held until a
+ * maintainer comments `/fix approve`.
+ */
+
+const CI_PATHS = [
+  ".github/workflows/**", ".github/actions/**", ".gitlab-ci.yml", ".circleci/**", ".travis.yml",
+  "azure-pipelines.yml", "Jenkinsfile", ".buildkite/**", "bitbucket-pipelines.yml",
+].map(globToRegExp);
+
+const CREDENTIAL_PATHS = [
+  "**/.env", "**/.env.*", "**/*.pem", "**/*.key", "**/*.p12", "**/*.pfx", "**/id_rsa*", "**/id_ed25519*",
+  "**/.npmrc", "**/.pypirc", "**/.netrc", "**/.git-credentials", "**/.aws/**", "**/.ssh/**",
+  "**/credentials", "**/credentials.*", "**/secrets.*",
+].map(globToRegExp);
+
+// Added lines that open connections or fetch remote content
+const NETWORK_PATTERNS = [
+  /\bfetch\s*\(/, /\baxios\b/, /\b(http|https|net|tls|dgram)\.(request|get|connect|createConnection)\s*\(/,
+  /\bXMLHttpRequest\b/, /\bnew\s+WebSocket\s*\(/, /\brequire\(\s*["'](node-fetch|got|request|undici)["']\s*\)/,
+  /\brequests\.(get|post|put|patch|delete|request|Session)\b/, /\burllib(\d)?\.request\b/, /\bhttpx\./, /\bsocket\.(socket|create_connection)\b/,
+  /\bnet\.Dial/, /\bhttp\.(Get|Post|NewRequest)\b/,
+  /\breqwest::/, /\bTcpStream::connect\b/,
+  /\b(HttpClient|URLConnection|OkHttpClient)\b/,
+  /\b(curl|wget)\s+\S/,
+];
+
+// Files where a URL or `curl` is prose, not code
+const PROSE_FILES = /\.(md|markdown|rst|txt|adoc)$/i;
+
+/**
+ * Returns the violations in a unified diff, each { rule, file, detail }. rule is one of
+ * ci_config, credentials, path_not_allowed, path_denied, network_call.
+ */
+function checkDiffPolicy(diff, { paths = { allow: [], deny: [] } } = {}) {
+  const violations = [];
+  const allow = paths.allow.map(globToRegExp);
+  const deny = paths.deny.map(globToRegExp);
+
+  for (const file of parseDiff(diff)) {
+    const touched = [...new Set([file.oldPath, file.newPath].filter(Boolean))];
+    for (const p of touched) {
+      if (matchesAny(p, CI_PATHS)) violations.push({ rule: "ci_config", file: p, detail: "changes CI configuration" });
+      if (matchesAny(p, CREDENTIAL_PATHS)) violations.push({ rule: "credentials", file: p, detail: "changes a credentials file" });
+      if (deny.length && matchesAny(p, deny)) violations.push({ rule: "path_denied", file: p, detail: "matches paths.deny" });
+      if (allow.length && !matchesAny(p, allow)) violations.push({ rule: "path_not_allowed", file: p, detail: "outside paths.allow" });
+    }
+    if (!file.newPath || PROSE_FILES.test(file.newPath)) continue;
+    for (const line of file.added) {
+      const hit = NETWORK_PATTERNS.find(re => re.test(line));
+      if (hit) {
+        violations.push({ rule: "network_call", file: file.newPath, detail: `adds \`${line.trim().slice(0, 120)}\`` });
+        break;
+      }
+    }
+  }
+  return violations;
+}
+
+function summarizeViolations(violations) {
+  return violations.map(v => `${v.file}: ${v.detail}`).join("; ");
+}
+
+// Lines added and removed per file, for showing a held diff to the maintainer who approves it
+function diffStat(diff) {
+  return parseDiff(diff).map(f => ({ file: f.newPath || f.oldPath, added: f.added.length, removed: f.removed }));
+}
+
+// Per-file paths, added lines and removed line counts of a unified diff, with or without `diff --git` headers
+function parseDiff(diff) {
+  const files = [];
+  let current = null;
+  let remaining = { old: 0, new: 0 }; // lines left in the current hunk
+  for (const line of String(diff || "").split("\n")) {
+    if (remaining.old > 0 || remaining.new > 0) {
+      if (line.startsWith("+")) { current.added.push(line.slice(1)); remaining.new--; }
+      else if (line.startsWith("-")) { current.removed++; remaining.old--; }
+      else if (!line.startsWith("\\")) { remaining.old--; remaining.new--; }
+      continue;
+    }
+    const header = line.match(/^diff --git a\/(.+?) b\/(.+)$/);
+    const hunk = line.match(/^@@ -\d+(?:,(\d+))? \+\d+(?:,(\d+))? @@/);
+    if (header) {
+      current = { oldPath: header[1], newPath: header[2], added: [], removed: 0, headers: true };
+      files.push(current);
+    } else if (line.startsWith("--- ")) {
+      if (!current?.headers || current.hunks) {
+        current = { oldPath: null, newPath: null, added: [], removed: 0 };
+        files.push(current);
+      }
+      current.oldPath = stripPrefix(line.slice(4), "a/");
+    } else if (line.startsWith("+++ ") && current) {
+      current.newPath = stripPrefix(line.slice(4), "b/");
+    } else if (hunk && current) {
+      current.hunks = true;
+      remaining = { old: hunk[1] == null ? 1 : Number(hunk[1]), new: hunk[2] == null ? 1 : Number(hunk[2]) };
+    }
+  }
+  return files;
+}
+
+function stripPrefix(p, prefix) {
+  p = p.trim().split("\t")[0];
+  if (p === "/dev/null") return null;
+  return p.startsWith(prefix) ? p.slice(prefix.length) : p;
+}
+
+function matchesAny(p, regexps) {
+  return regexps.some(re => re.test(p));
+}
+
+// Minimal glob support: ** spans directories, * and ? stay within one path segment
+function globToRegExp(glob) {
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === "*" && glob[i + 1] === "*") {
+      const slash = glob[i + 2] === "/";
+      re += slash ? "(?:.*/)?" : ".*";
+      i += slash ? 2 : 1;
+    } else if (c === "*") {
+      re += "[^/]*";
+    } else if (c === "?") {
+      re += "[^/]";
+    } else {
+      re += c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+module.exports = { checkDiffPolicy, summarizeViolations, diffStat };
@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+/**
+ * frost-autofix durable task queue — shared by backend (producer) and consumer
+ * Append-only journal (queue.log): every mutation is one JSON line, state is rebuilt by replaying it.
+ * Supports visibility-timeout leases, heartbeats, concurrency limits, per-installation fairness,
+ * priorities, exponential backoff, cancellation and a dead-letter state that can be inspected and re-driven.
+ *
+ * CLI: node src/queue.js stats | list [ready|leased|dead] | redrive <id>
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const DEFAULTS = {
+  concurrency: 1,
+  visibilityMs: 5 * 60 * 1000,
+  maxAttempts: 3,
+  backoffBaseMs: 60 * 1000,
+  backoffMaxMs: 60 * 60 * 1000,
+  compactAfter: 1000,
+};
+
+const LOCK_STALE_MS = 30 * 1000;
+const LOCK_TIMEOUT_MS = 10 * 1000;
+
+class Queue {
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.options = { ...DEFAULTS, ...options };
+    this.journal = path.join(dir, "queue.log");
+    this.lockFile = path.join(dir, "queue.lock");
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  }
+
+  enqueue(task, { priority = 0, group = "default", delayMs = 0, maxAttempts } = {}) {
+    return this._mutate(state => {
+      const now = Date.now();
+      const item = {
+        id: `${now.toString(36)}-${crypto.randomBytes(4).toString("hex")}`,
+        task,
+        priority,
+        group: String(group),
+        state: "ready",
+        attempts: 0,
+        max_attempts: maxAttempts || this.options.maxAttempts,
+        available_at: now + delayMs,
+        enqueued_at: now,
+        lease: null,
+        last_error: null,
+      };
+      this._append(state, { op: "enqueue", item });
+      return item;
+    });
+  }
+
+  /**
+   * Claim the next task, or null when nothing is available or the concurrency limit is reached.
+   * Order: priority, then the installation with the fewest active leases and least recent service, then age.
+   */
+  lease(owner) {
+    return this._mutate(state => {
+      const now = Date.now();
+      const items = [...state.items.values()];
+      const active = items.filter(i => i.state === "leased" && i.lease.expires_at > now);
+      if (active.length >= this.options.concurrency) return null;
+
+      const activeByGroup = {};
+      for (const i of active) activeByGroup[i.group] = (activeByGroup[i.group] || 0) + 1;
+
+      const candidates = items.filter(i => isAvailable(i, now));
+      if (!candidates.length) return null;
+      candidates.sort((a, b) =>
+        b.priority - a.priority ||
+        (activeByGroup[a.group] || 0) - (activeByGroup[b.group] || 0) ||
+        (state.served[a.group] || 0) - (state.served[b.group] || 0) ||
+        a.enqueued_at - b.enqueued_at
+      );
+
+      const item = candidates[0];
+      const lease = { id: crypto.randomBytes(8).toString("hex"), owner, expires_at: now + this.options.visibilityMs };
+      this._append(state, { op: "lease", id: item.id, lease, at: now });
+      return { ...item };
+    });
+  }
+
+  /**
+   * Extend a lease. held is false once it expired and was handed to someone else;
+   * cancelled tells the holder to stop work and ack.
+   */
+  heartbeat(id, leaseId) {
+    return this._mutate(state => {
+      const item = state.items.get(id);
+      if (!holdsLease(item, leaseId)) return { held: false, cancelled: false };
+      this._append(state, { op: "heartbeat", id, expires_at: Date.now() + this.options.visibilityMs });
+      return { held: true, cancelled: !!item.cancel_requested };
+    });
+  }
+
+  // Drop queued tasks for a run; leased ones are flagged for their holder to stop
+  cancel(runId) {
+    return this._mutate(state => {
+      const result = { removed: 0, signalled: 0 };
+      for (const item of [...state.items.values()]) {
+        if (item.task.run_id !== runId || item.state === "dead") continue;
+        this._append(state, { op: "cancel", id: item.id });
+        if (item.state === "leased") result.signalled++;
+        else result.removed++;
+      }
+      return result;
+    });
+  }
+
+  ack(id, leaseId) {
+    return this._mutate(state => {
+      if (!holdsLease(state.items.get(id), leaseId)) return false;
+      this._append(state, { op: "ack", id });
+      return true;
+    });
+  }
+
+  // Failed attempt: schedule a retry with exponential backoff, or dead-letter once attempts are exhausted
+  nack(id, leaseId, error) {
+    return this._mutate(state => {
+      const item = state.items.get(id);
+      if (!holdsLease(item, leaseId)) return null;
+      if (item.attempts >= item.max_attempts) {
+        this._append(state, { op: "dead", id, error });
+      } else {
+        const delay = Math.min(this.options.backoffMaxMs, this.options.backoffBaseMs * 2 ** (item.attempts - 1));
+        this._append(state, { op: "retry", id, error, available_at: Date.now() + delay });
+      }
+      return { ...state.items.get(id) };
+    });
+  }
+
+  // Dead-letter tasks whose lease expired (consumer crashed) on their final attempt; returns them
+  reap() {
+    return this._mutate(state => {
+      const now = Date.now();
+      const reaped = [];
+      for (const item of [...state.items.values()]) {
+        if (item.state !== "leased" || item.lease.expires_at > now) continue;
+        if (item.cancel_requested) {
+          this._append(state, { op: "ack", id: item.id });
+        } else if (item.attempts >= item.max_attempts) {
+          this._append(state, { op: "dead", id: item.id, error: "lease expired" });
+          reaped.push({ ...item });
+        }
+      }
+      return reaped;
+    });
+  }
+
+  redrive(id) {
+    return this._mutate(state => {
+      const item = state.items.get(id);
+      if (!item || effectiveState(item, Date.now()) !== "dead") return null;
+      this._append(state, { op: "redrive", id, available_at: Date.now() });
+      return { ...state.items.get(id) };
+    });
+  }
+
+  list(filter) {
+    const state = this._withLock(() => this._load());
+    const now = Date.now();
+    return [...state.items.values()]
+      .map(i => ({ ...i, state: effectiveState(i, now) }))
+      .filter(i => !filter || i.state === filter);
+  }
+
+  stats() {
+    const counts = { ready: 0, leased: 0, dead: 0 };
+    for (const item of this.list()) counts[item.state]++;
+    return counts;
+  }
+
+  // ─── Journal ───
+
+  _mutate(fn) {
+    return this._withLock(() => {
+      const state = this._load();
+      const result = fn(state);
+      if (state.lines > this.options.compactAfter) this._compact(state);
+      return result;
+    });
+  }
+
+  _append(state, op) {
+    fs.appendFileSync(this.journal, JSON.stringify(op) + "\n");
+    apply(state, op);
+    state.lines++;
+  }
+
+  _load() {
+    const state = { items: new Map(), served: {}, lines: 0 };
+    if (!fs.existsSync(this.journal)) return state;
+    for (const line of fs.readFileSync(this.journal, "utf-8").split("\n")) {
+      if (!line) continue;
+      state.lines++;
+      try { apply(state, JSON.parse(line)); } catch (_) { /* torn write from a crash */ }
+    }
+    return state;
+  }
+
+  // Rewrite the journal as one snapshot line per live task
+  _compact(state) {
+    const tmp = `${this.journal}.tmp`;
+    const lines = [JSON.stringify({ op: "served", served: state.served })];
+    for (const item of state.items.values()) lines.push(JSON.stringify({ op: "snapshot", item }));
+    fs.writeFileSync(tmp, lines.join("\n") + "\n");
+    fs.renameSync(tmp, this.journal);
+    state.lines = lines.length;
+  }
+
+  // The lock file holds a token naming its owner; only that owner removes it, so a holder whose lock
+  // was taken over as stale cannot delete the new owner's lock on its way out
+  _withLock(fn) {
+    const token = `${process.pid}:${crypto.randomBytes(8).toString("hex")}`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    for (;;) {
+      try {
+        fs.writeFileSync(this.lockFile, token, { flag: "wx" });
+        break;
+      } catch (e) {
+        if (e.code !== "EEXIST") throw e;
+        try {
+          if (Date.now() - fs.statSync(this.lockFile).mtimeMs > LOCK_STALE_MS) fs.unlinkSync(this.lockFile);
+        } catch (_) { /* released meanwhile */ }
+        if (Date.now() > deadline) throw new Error(`queue lock timeout: ${this.lockFile}`);
+        sleep(25);
+      }
+    }
+    try {
+      return fn();
+    } finally {
+      this._unlock(token);
+    }
+  }
+
+  _unlock(token) {
+    try {
+      if (fs.readFileSync(this.lockFile, "utf-8") === token) fs.unlinkSync(this.lockFile);
+    } catch (_) { /* already removed */ }
+  }
+}
+
+function apply(state, op) {
+  const item = state.items.get(op.id);
+  switch (op.op) {
+    case "enqueue":
+    case "snapshot":
+      state.items.set(op.item.id, { ...op.item });
+      break;
+    case "served":
+      state.served = { ...op.served };
+      break;
+    case "lease":
+      if (!item) break;
+      item.state = "leased";
+      item.lease = op.lease;
+      item.attempts++;
+      state.served[item.group] = op.at;
+      break;
+    case "heartbeat":
+      if (item?.lease) item.lease.expires_at = op.expires_at;
+      break;
+    case "ack":
+      state.items.delete(op.id);
+      break;
+    case "cancel":
+      if (item?.state === "leased") item.cancel_requested = true;
+      else state.items.delete(op.id);
+      break;
+    case "retry":
+      if (!item) break;
+      Object.assign(item, { state: "ready", lease: null, last_error: op.error, available_at: op.available_at });
+      break;
+    case "dead":
+      if (!item) break;
+      Object.assign(item, { state: "dead", lease: null, last_error: op.error });
+      break;
+    case "redrive":
+      if (!item) break;
+      Object.assign(item, { state: "ready", lease: null, attempts: 0, available_at: op.available_at });
+      break;
+  }
+}
+
+// An expired lease reads as ready while attempts remain and as dead once they are used up (reap records it)
+function effectiveState(item, now) {
+  if (item.state !== "leased" || item.lease.expires_at > now) return item.state;
+  return item.attempts < item.max_attempts ? "ready" : "dead";
+}
+
+function isAvailable(item, now) {
+  if (item.state === "ready") return item.available_at <= now;
+  // An expired lease means the holder crashed; it goes back on the queue if attempts remain
+  return item.state === "leased" && item.lease.expires_at <= now && item.attempts < item.max_attempts && !item.cancel_requested;
+}
+
+function holdsLease(item, leaseId) {
+  return !!item && item.state === "leased" && item.lease.id === leaseId;
+}
+
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+module.exports = { Queue };
+
+if (require.main === module) {
+  const queue = new Queue(process.env.QUEUE_DIR || "/root/.openclaw/autonomy/autofix-queue");
+  const [cmd, arg] = process.argv.slice(2);
+  if (cmd === "stats") {
+    console.log(JSON.stringify(queue.stats()));
+  } else if (cmd === "list") {
+    for (const i of queue.list(arg)) {
+      console.log(`${i.id}\t${i.state}\tp${i.priority}\t${i.group}\t${i.task.repo}#${i.task.issue_number}\tattempts=${i.attempts}${i.last_error ? `\t${i.last_error.slice(0, 120)}` : ""}`);
+    }
+  } else if (cmd === "redrive" && arg) {
+    const item = queue.redrive(arg);
+    console.log(item ? `Re-driven: ${arg}` : `Not a dead-lettered task: ${arg}`);
+    if (!item) process.exitCode = 1;
+  } else {
+    console.log("usage: queue.js stats | list [ready|leased|dead] | redrive <id>");
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,205 @@
+/**
+ * frost-autofix agent runners — how the consumer hands a fix prompt to an agent
+ * Every adapter is async (task, prompt, ctx) → { output, diff, prUrl, logs, usage }, where ctx is
+ * { workspace, sandbox, signal, phase } and output is the text the consumer scans for the result marker.
+ * phase is "fix", or "reproduce" for the first half of reproduce-first runs.
+ *
+ * Runners are picked per repo, then per installation, then the default, from the operator's
+ * runners file (AUTOFIX_RUNNERS):
+ *   {
+ *     "default": "openclaw",
+ *     "runners": { "claude": { "type": "cli", "command": "claude", "args": ["-p"], "pass_env": ["ANTHROPIC_API_KEY"], "network": true },
+ *                  "local": { "type": "openai", "base_url": "http://127.0.0.1:8000/v1", "model": "qwen", "api_key_env": "LOCAL_KEY" } },
+ *     "installations": { "12345": "local" },
+ *     "repos": { "owner/repo": "claude" }
+ *   }
+ */
+
+const fs = require("fs");
+const { execFileSync } = require("child_process");
+const { runSandboxed } = require("./sandbox");
+
+const RUNNERS_FILE = process.env.AUTOFIX_RUNNERS || "/root/.openclaw/autonomy/autofix-runners.json";
+const DEFAULT_TIMEOUT_S = 600;
+const MAX_BUFFER = 10 * 1024 * 1024;
+const MAX_DIFF = 1024 * 1024;
+
+// Adapters that answer with a patch instead of editing the checkout; in reproduce-first runs their
+// fix is relative to the checkout with the regression test already applied
+const DIFF_ONLY = ["openai", "mock"];
+
+// Always available, even without a runners file
+const BUILTIN_RUNNERS = {
+  openclaw: { type: "openclaw" },
+  mock: { type: "mock" },
+};
+
+const ADAPTERS = {
+  openclaw: runOpenClaw,
+  cli: runCli,
+  openai: runOpenAI,
+  mock: runMock,
+};
+
+function loadRunnersFile() {
+  if (!fs.existsSync(RUNNERS_FILE)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(RUNNERS_FILE, "utf-8"));
+  } catch (e) {
+    throw new Error(`Invalid runners file ${RUNNERS_FILE}: ${e.message}`);
+  }
+}
+
+// Resolves the runner for a task; returns { name, ...spec }
+function selectRunner(task, file = loadRunnersFile()) {
+  const name = file.repos?.[task.repo] || file.installations?.[String(task.installation_id)] || file.default || "openclaw";
+  const spec = file.runners?.[name] || BUILTIN_RUNNERS[name];
+  if (!spec) throw new Error(`Unknown runner "${name}" for ${task.repo}`);
+  if (!ADAPTERS[spec.type]) throw new Error(`Runner "${name}" has unknown type "${spec.type}"`);
+  return { name, ...spec };
+}
+
+async function runAgent(runner, task, prompt, ctx) {
+  const result = await ADAPTERS[runner.type](runner, task, prompt, ctx);
+  return {
+    output: result.output || "",
+    diff: result.diff ?? workspaceDiff(ctx.workspace.dir, ctx.workspace.baseSha),
+    prUrl: result.prUrl ?? findPrUrl(task, result.output || ""),
+    logs: result.logs || "",
+    usage: result.usage || null,
+  };
+}
+
+// ─── Adapters ───
+
+// Runs inside the task's sandbox like any cli runner; the gateway's address and credentials come
+// from runner.env and runner.pass_env, and reaching it needs network (see agentNetwork)
+async function runOpenClaw(runner, task, prompt, ctx) {
+  const timeout = runner.timeout_s || DEFAULT_TIMEOUT_S;
+  const sessionId = `autofix-${task.repo.replace("/", "-")}-${task.issue_number}-${Date.now()}`;
+  const res = await runSandboxed(ctx.sandbox, ctx.workspace, "openclaw", ["agent", "--session-id", sessionId, "--timeout", String(timeout), "--json", "-m", "-"], {
+    network: agentNetwork(runner, ctx.sandbox), input: prompt, signal: ctx.signal, timeoutS: timeout + 60, env: agentEnv(runner),
+  });
+  if (res.code !== 0) throw new Error(`openclaw exited with ${res.code}: ${res.stderr.slice(0, 500)}`);
+  const stdout = res.stdout;
+  let envelope = null;
+  try { envelope = JSON.parse(stdout); } catch (_) { /* plain text reply */ }
+  return { output: envelope ? flattenStrings(envelope) : stdout, logs: stdout, usage: envelope ? findUsage(envelope) : null };
+}
+
+// Any command that reads the prompt on stdin; it runs inside the task's sandbox, in the checkout
+async function runCli(runner, task, prompt, ctx) {
+  if (!runner.command) throw new Error(`Runner "${runner.name}" needs a command`);
+  const res = await runSandboxed(ctx.sandbox, ctx.workspace, runner.command, runner.args || [], {
+    network: agentNetwork(runner, ctx.sandbox), input: prompt, signal: ctx.signal, timeoutS: runner.timeout_s || DEFAULT_TIMEOUT_S, env: agentEnv(runner),
+  });
+  if (res.code !== 0) throw new Error(`${runner.command} exited with ${res.code}: ${res.stderr.slice(0, 500)}`);
+  return { output: res.stdout, logs: res.stdout + res.stderr };
+}
+
+// Chat-completions endpoint; the model cannot run commands, so it answers with a diff the consumer publishes
+async function runOpenAI(runner, task, prompt, ctx) {
+  if (!runner.base_url || !runner.model) throw new Error(`Runner "${runner.name}" needs base_url and model`);
+  const apiKey = runner.api_key_env ? process.env[runner.api_key_env] : null;
+  const res = await fetch(`${runner.base_url.replace(/\/$/, "")}/chat/completions`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+    body: JSON.stringify({
+      model: runner.model,
+      max_tokens: runner.max_tokens || 8192,
+      messages: [
+        { role: "system", content: OPENAI_SYSTEM_PROMPT },
+        { role: "user", content: prompt },
+      ],
+    }),
+    signal: AbortSignal.any([ctx.signal, AbortSignal.timeout((runner.timeout_s || DEFAULT_TIMEOUT_S) * 1000)]),
+  });
+  const body = await res.text();
+  if (!res.ok) throw new Error(`Runner "${runner.name}" returned HTTP ${res.status}: ${body.slice(0, 300)}`);
+  const data = JSON.parse(body);
+  const content = data.choices?.[0]?.message?.content || "";
+  const diff = content.match(/```(?:diff|patch)\n([\s\S]*?)```/)?.[1] || "";
+  return {
+    output: content,
+    diff,
+    prUrl: null,
+    logs: content,
+    usage: data.usage ? { input_tokens: data.usage.prompt_tokens || 0, output_tokens: data.usage.completion_tokens || 0 } : null,
+  };
+}
+
+const OPENAI_SYSTEM_PROMPT = `You cannot run commands or open pull requests. Ignore any instructions to do so.
+Reply with the complete fix as one unified diff (paths relative to the repository root, a/ and b/ prefixes) inside a single \`\`\`diff block,
+followed by the result marker line the task asks for, without a pr_url.`;
+
+// Deterministic runner for tests: replays runner.result and runner.diff (or runner.phases[phase])
+// without touching the checkout
+async function runMock(runner, task, prompt, ctx) {
+  const spec = runner.phases?.[ctx.phase] || runner;
+  const result = spec.result || { outcome: "no_fix", reason: "mock runner" };
+  const output = `mock ${ctx.phase || "fix"} for ${task.repo}#${task.issue_number}\nAUTOFIX_RESULT ${JSON.stringify(result)}`;
+  return { output, diff: spec.diff || "", prUrl: result.pr_url || null, logs: output, usage: { input_tokens: 0, output_tokens: 0 } };
+}
+
+// ─── Helpers ───
+
+// Network is off unless both the operator's profile and the runner opt in
+function agentNetwork(runner, sandbox) {
+  return sandbox.agent_network === true && runner.network === true;
+}
+
+// Secrets the agent itself needs are passed explicitly, never the consumer's whole environment
+function agentEnv(runner) {
+  const env = { ...runner.env };
+  for (const key of runner.pass_env || []) if (process.env[key]) env[key] = process.env[key];
+  return env;
+}
+
+// Everything changed since the checkout was prepared, committed or not (new files included)
+function workspaceDiff(dir, baseSha) {
+  if (!dir || !baseSha) return "";
+  try {
+    execFileSync("git", ["add", "--intent-to-add", "--all"], { cwd: dir, timeout: 30000 });
+    const diff = execFileSync("git", ["diff", baseSha], { cwd: dir, timeout: 30000, encoding: "utf-8", maxBuffer: MAX_BUFFER });
+    // A truncated patch would not apply; oversized changes are not published
+    return diff.length > MAX_DIFF ? "" : diff;
+  } catch (_) {
+    return "";
+  }
+}
+
+function findPrUrl(task, text) {
+  const urls = text.match(new RegExp(`https://github\\.com/${task.repo.replace(/[.]/g, "\\.")}/pull/\\d+`, "g"));
+  return urls ? urls[urls.length - 1] : null;
+}
+
+// `openclaw agent --json` wraps the reply in a JSON envelope; flatten every string in it
+function flattenStrings(value) {
+  const parts = [];
+  (function walk(v) {
+    if (typeof v === "string") parts.push(v);
+    else if (Array.isArray(v)) v.forEach(walk);
+    else if (v && typeof v === "object") Object.values(v).forEach(walk);
+  })(value);
+  return parts.join("\n");
+}
+
+// First usage-looking object anywhere in the envelope
+function findUsage(value) {
+  if (!value || typeof value !== "object") return null;
+  const u = value.usage;
+  if (u && typeof u === "object") {
+    return { input_tokens: u.input_tokens ?? u.prompt_tokens ?? 0, output_tokens: u.output_tokens ?? u.completion_tokens ?? 0 };
+  }
+  for (const v of Object.values(value)) {
+    const found = findUsage(v);
+    if (found) return found;
+  }
+  return null;
+}
+
+function isDiffOnly(runner) {
+  return DIFF_ONLY.includes(runner.type);
+}
+
+module.exports = { selectRunner, runAgent, isDiffOnly, workspaceDiff };
@@ -0,0 +1,207 @@
+/**
+ * frost-autofix sandboxes for code that runs inside a fix workspace
+ * Dependency installs, sandboxed agent CLIs and verification commands run through here. Only the
+ * run's worktree, its git metadata and a scratch HOME are writable; the repo cache is read-only,
+ * the rest of the host is hidden or read-only, and the environment is rebuilt from an allowlist so
+ * BACKEND_TOKEN and other consumer secrets never reach repository code.
+ *
+ * Profiles come from the operator's sandbox file (AUTOFIX_SANDBOX), chosen per installation:
+ *   {
+ *     "default": "bwrap",
+ *     "profiles": { "big": { "type": "podman", "image": "docker.io/library/node:20", "cpus": 4, "memory_mb": 8192 } },
+ *     "installations": { "12345": "big" }
+ *   }
+ * Types: bwrap (bubblewrap), docker, podman, none (host execution, for trusted setups only).
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { promisify } = require("util");
+const { execFile, execFileSync } = require("child_process");
+
+const execFileAsync = promisify(execFile);
+
+const SANDBOX_FILE = process.env.AUTOFIX_SANDBOX || "/root/.openclaw/autonomy/autofix-sandbox.json";
+
+const PROFILE_DEFAULTS = {
+  cpus: 2,
+  memory_mb: 4096,
+  pids: 512,
+  timeout_s: 900,
+  install_timeout_s: 600,
+  verify_timeout_s: 600,  // per test/lint/typecheck command of the verification gate
+  agent_network: false, // allows network for runners that also set "network": true (agent CLIs calling a hosted model)
+  install: true,
+  ro_binds: [],         // extra host paths (toolchains outside /usr) visible read-only under bwrap
+  env: {},
+};
+
+const BUILTIN_PROFILES = {
+  bwrap: { type: "bwrap" },
+  docker: { type: "docker", image: "docker.io/library/node:20" },
+  podman: { type: "podman", image: "docker.io/library/node:20" },
+  none: { type: "none" },
+};
+
+// The only host variables that reach sandboxed processes
+const ENV_ALLOWLIST = ["PATH", "LANG", "LC_ALL", "TZ", "TERM"];
+
+// First match wins; commands run in the workspace root with network access
+const INSTALLERS = [
+  { file: "pnpm-lock.yaml", command: "pnpm", args: ["install", "--frozen-lockfile"] },
+  { file: "yarn.lock", command: "yarn", args: ["install", "--frozen-lockfile"] },
+  { file: "package-lock.json", command: "npm", args: ["ci", "--no-audit", "--no-fund"] },
+  { file: "package.json", command: "npm", args: ["install", "--no-audit", "--no-fund"] },
+  { file: "requirements.txt", command: "python3", args: ["-m", "pip", "install", "--user", "-r", "requirements.txt"] },
+  { file: "go.mod", command: "go", args: ["mod", "download"] },
+  { file: "Cargo.toml", command: "cargo", args: ["fetch"] },
+];
+
+function loadSandboxFile() {
+  if (!fs.existsSync(SANDBOX_FILE)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(SANDBOX_FILE, "utf-8"));
+  } catch (e) {
+    throw new Error(`Invalid sandbox file ${SANDBOX_FILE}: ${e.message}`);
+  }
+}
+
+// Containers still running, by name; killed on timeout, cancel and consumer shutdown
+const running = new Set();
+
+// Resolves the sandbox profile for a task; returns { name, type, container, ...limits }
+function selectSandbox(task, file = loadSandboxFile()) {
+  const name = file.installations?.[String(task.installation_id)] || file.default || "bwrap";
+  const spec = file.profiles?.[name] || BUILTIN_PROFILES[name];
+  if (!spec) throw new Error(`Unknown sandbox profile "${name}" for ${task.repo}`);
+  if (!BUILTIN_PROFILES[spec.type]) throw new Error(`Sandbox profile "${name}" has unknown type "${spec.type}"`);
+  // Commands of one run execute one after another, so they can share a container name
+  const container = `autofix-${task.run_id || `${task.repo.replace("/", "-")}-${task.issue_number}`}`;
+  return { name, ...PROFILE_DEFAULTS, ...spec, container };
+}
+
+/**
+ * Run one command in the workspace under the profile. Resolves to { code, stdout, stderr };
+ * a non-zero exit is not an error, a timeout or a sandbox that fails to start is.
+ */
+async function runSandboxed(profile, workspace, command, args, { network = false, input, signal, timeoutS, env } = {}) {
+  const wrapped = wrapCommand(profile, workspace, command, args, { network, env });
+  const timeout = (timeoutS || profile.timeout_s) * 1000;
+  const container = isContainer(profile) ? profile.container : null;
+  // Killing the docker/podman client leaves the container running, so it is removed by name
+  if (container) {
+    await removeContainer(profile.type, container); // left over from a consumer that died
+    running.add(`${profile.type}:${container}`);
+  }
+  try {
+    const run = execFileAsync(wrapped.command, wrapped.args, {
+      cwd: workspace.dir, env: wrapped.env, signal, timeout, encoding: "utf-8", maxBuffer: 10 * 1024 * 1024, killSignal: "SIGKILL",
+    });
+    run.child.stdin.end(input || "");
+    const { stdout, stderr } = await run;
+    return { code: 0, stdout, stderr };
+  } catch (e) {
+    if (container && (signal?.aborted || e.killed)) await removeContainer(profile.type, container);
+    if (signal?.aborted) throw e;
+    if (e.killed) throw new Error(`${command} timed out after ${timeout / 1000}s in sandbox "${profile.name}"`);
+    if (typeof e.code !== "number") throw new Error(`Sandbox "${profile.name}" failed to start ${command}: ${e.message.slice(0, 300)}`);
+    return { code: e.code, stdout: e.stdout || "", stderr: e.stderr || "" };
+  } finally {
+    if (container) running.delete(`${profile.type}:${container}`);
+  }
+}
+
+function isContainer(profile) {
+  return profile.type === "docker" || profile.type === "podman";
+}
+
+async function removeContainer(type, name) {
+  await execFileAsync(type, ["rm", "-f", name], { timeout: 30000 }).catch(() => null);
+}
+
+// Called when the consumer is shutting down; synchronous so it can run from a signal handler
+function killSandboxes() {
+  for (const entry of running) {
+    const [type, name] = entry.split(":");
+    try { execFileSync(type, ["rm", "-f", name], { timeout: 30000, stdio: "ignore" }); } catch (_) { /* already gone */ }
+  }
+  running.clear();
+}
+
+// Install dependencies while the network is still on; returns null when nothing applies
+async function installDependencies(profile, workspace, signal) {
+  if (!profile.install) return null;
+  const installer = INSTALLERS.find(i => fs.existsSync(path.join(workspace.dir, i.file)));
+  if (!installer) return null;
+  const res = await runSandboxed(profile, workspace, installer.command, installer.args, {
+    network: true, signal, timeoutS: profile.install_timeout_s,
+  });
+  return { command: [installer.command, ...installer.args].join(" "), ok: res.code === 0, output: (res.stdout + res.stderr).slice(-5000) };
+}
+
+function sandboxEnv(profile, workspace, extra) {
+  const env = {};
+  for (const key of ENV_ALLOWLIST) if (process.env[key]) env[key] = process.env[key];
+  return {
+    ...env,
+    HOME: workspace.home,
+    CI: "1",
+    // New objects go to the worktree's own git dir; the shared cache stays read-only
+    GIT_OBJECT_DIRECTORY: path.join(workspace.gitDir, "objects"),
+    GIT_ALTERNATE_OBJECT_DIRECTORIES: path.join(workspace.mirror, "objects"),
+    ...profile.env,
+    ...extra,
+  };
+}
+
+function wrapCommand(profile, workspace, command, args, { network, env: extra }) {
+  const env = sandboxEnv(profile, workspace, extra);
+  const objects = env.GIT_OBJECT_DIRECTORY;
+  if (!fs.existsSync(objects)) fs.mkdirSync(objects, { recursive: true });
+
+  if (profile.type === "none") return { command, args, env };
+
+  if (profile.type === "bwrap") {
+    const binds = ["--ro-bind", "/", "/"];
+    // Hide home directories and scratch space, where the consumer's credentials live
+    for (const dir of ["/root", "/home", "/tmp", "/var/tmp", "/run"]) binds.push("--tmpfs", dir);
+    for (const dir of profile.ro_binds) binds.push("--ro-bind", dir, dir);
+    binds.push(
+      "--ro-bind", workspace.mirror, workspace.mirror,
+      "--bind", workspace.gitDir, workspace.gitDir,
+      "--bind", workspace.dir, workspace.dir,
+      "--bind", workspace.home, workspace.home,
+      "--dev", "/dev", "--proc", "/proc", "--chdir", workspace.dir,
+    );
+    const bwrap = ["bwrap", "--die-with-parent", "--new-session", "--unshare-all", ...(network ? ["--share-net"] : []), ...binds, command, ...args];
+    // bubblewrap has no resource controls of its own
+    const limits = [
+      "--cpu-list", `0-${Math.min(profile.cpus, os.cpus().length) - 1}`,
+      "prlimit", `--as=${profile.memory_mb * 1024 * 1024}`, `--cpu=${profile.timeout_s * profile.cpus}`, "--",
+    ];
+    return { command: "taskset", args: [...limits, ...bwrap], env };
+  }
+
+  // docker / podman
+  const { uid, gid } = os.userInfo();
+  const mounts = [
+    "-v", `${workspace.mirror}:${workspace.mirror}:ro`,
+    "-v", `${workspace.gitDir}:${workspace.gitDir}`,
+    "-v", `${workspace.dir}:${workspace.dir}`,
+    "-v", `${workspace.home}:${workspace.home}`,
+  ];
+  const envArgs = Object.entries(env).filter(([key]) => key !== "PATH").flatMap(([key, value]) => ["-e", `${key}=${value}`]);
+  return {
+    command: profile.type,
+    args: [
+      "run", "--rm", "-i", "--name", profile.container, ...(network ? [] : ["--network", "none"]),
+      "--cpus", String(profile.cpus), "--memory", `${profile.memory_mb}m`, "--pids-limit", String(profile.pids),
+      "--read-only", "--tmpfs", "/tmp", "--cap-drop", "ALL", "--security-opt", "no-new-privileges",
+      "--user", `${uid}:${gid}`, ...mounts, "-w", workspace.dir, ...envArgs, profile.image, command, ...args,
+    ],
+    env: { PATH: process.env.PATH },
+  };
+}
+
+module.exports = { selectSandbox, runSandboxed, installDependencies, killSandboxes };
@@ -0,0 +1,59 @@
+/**
+ * frost-autofix handling of untrusted issue text before it reaches an agent prompt
+ * Issue titles, bodies and comments are written by anyone who can open an issue. They are cleaned
+ * (hidden HTML comments and invisible characters removed, length capped), scanned for
+ * instruction-like content, and framed as data blocks the agent is told never to obey.
+ */
+
+const crypto = require("crypto");
+
+const MAX_LENGTH = 8000;
+
+// Zero-width and bidirectional control characters can hide text from human reviewers
+const INVISIBLE_CHARS = /[\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/g;
+
+const INJECTION_PATTERNS = [
+  { flag: "override_instructions", pattern: /\b(ignore|disregard|forget|override)\b[^.\n]{0,40}\b(previous|above|prior|earlier|system|all)\b[^.\n]{0,20}\b(instructions?|prompts?|rules?|context)\b/i },
+  { flag: "override_instructions", pattern: /(忽略|无视|忘记)[^。\n]{0,20}(之前|以上|上面|前面|所有)[^。\n]{0,10}(指令|指示|提示|规则)/ },
+  { flag: "role_play", pattern: /\b(you are now|act as|pretend to be|new instructions|system prompt)\b/i },
+  { flag: "secrets", pattern: /\b(secrets?|tokens?|credentials?|api[_ -]?keys?|passwords?|private[_ -]?keys?|env(ironment)? var(iable)?s?)\b[^.\n]{0,60}\b(print|send|post|push|upload|exfiltrate|echo|leak|commit)\b/i },
+  { flag: "secrets", pattern: /\b(print|send|post|push|upload|exfiltrate|echo|leak|commit)\b[^.\n]{0,60}\b(secrets?|tokens?|credentials?|api[_ -]?keys?|passwords?|private[_ -]?keys?|\.env)\b/i },
+  { flag: "remote_code", pattern: /\b(curl|wget)\b[^\n|]{0,200}\|\s*(ba|z)?sh\b/i },
+  { flag: "ci_tampering", pattern: /\.github\/workflows|\bworkflow file\b/i },
+];
+
+/**
+ * Clean one piece of untrusted text. Returns { text, flags } where flags lists what was removed
+ * or detected: hidden_comment, invisible_chars, truncated and the INJECTION_PATTERNS flags.
+ */
+function sanitizeUntrusted(text, { maxLength = MAX_LENGTH } = {}) {
+  const flags = new Set();
+  let out = String(text || "").replace(/\r\n?/g, "\n");
+
+  const stripped = out.replace(/<!--[\s\S]*?(-->|$)/g, "");
+  if (stripped !== out) flags.add("hidden_comment");
+  out = stripped;
+
+  const visible = out.replace(INVISIBLE_CHARS, "");
+  if (visible !== out) flags.add("invisible_chars");
+  out = visible;
+
+  for (const { flag, pattern } of INJECTION_PATTERNS) if (pattern.test(out)) flags.add(flag);
+
+  if (out.length > maxLength) {
+    out = `${out.slice(0, maxLength)}\n[… truncated ${out.length - maxLength} characters]`;
+    flags.add("truncated");
+  }
+  return { text: out.trim(), flags: [...flags] };
+}
+
+/**
+ * Wrap untrusted text in a delimited block. The delimiter carries a random nonce so the text
+ * cannot close the block early by guessing it.
+ */
+function untrustedBlock(label, text) {
+  const tag = `UNTRUSTED_${label.toUpperCase().replace(/[^A-Z0-9]+/g, "_")}_${crypto.randomBytes(4).toString("hex")}`;
+  return `<<<${tag}\n${text || "(empty)"}\n${tag}>>>`;
+}
+
+module.exports = { sanitizeUntrusted, untrustedBlock };
@@ -0,0 +1,200 @@
+/**
+ * frost-autofix stack-trace extraction
+ * Parses JavaScript, Python, Go, Java and Rust stack traces out of issue text, maps each frame to a
+ * file tracked in the workspace, drops vendor and standard-library frames, and ranks what is left
+ * so the agent starts from the lines the trace already points at.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+const MAX_SUSPECTS = 8;
+const EXCERPT_RADIUS = 4;
+const MAX_LINE_LENGTH = 200;
+
+// Each pattern yields { file, line, fn }; innermostLast marks formats that print the failing frame last
+const FRAME_PATTERNS = [
+  {
+    lang: "java",
+    re: /^\s*at ((?:[\w$]+\.)+)([\w$<>]+)\(([\w$]+\.(?:java|kt|scala|groovy)):(\d+)\)/,
+    frame: m => {
+      const pkg = m[1].split(".").slice(0, -2);
+      return { file: [...pkg, m[3]].join("/"), line: m[4], fn: `${m[1]}${m[2]}`, pkg: m[1] };
+    },
+  },
+  {
+    lang: "rust",
+    re: /(?:^\s*at |panicked at (?:'.*?', )?)((?:\.?\/)?[\w./@-]+\.rs):(\d+)(?::\d+)?/,
+    frame: (m, prev) => ({ file: m[1], line: m[2], fn: prev?.match(/^\s*\d+: (\S+)/)?.[1] || null }),
+  },
+  {
+    lang: "javascript",
+    re: /^\s*at (?:(?:async )?(.+?) \()?([^\s()]+?):(\d+)(?::\d+)?\)?\s*$/,
+    frame: m => ({ file: m[2], line: m[3], fn: m[1] || null }),
+  },
+  {
+    lang: "python",
+    innermostLast: true,
+    re: /^\s*File "([^"]+)", line (\d+)(?:, in (.+))?/,
+    frame: m => ({ file: m[1], line: m[2], fn: m[3] || null }),
+  },
+  {
+    lang: "go",
+    re: /^\s*(\/?(?:[\w.@~-]+\/)*[\w.-]+\.go):(\d+)(?: \+0x[0-9a-f]+)?\s*$/,
+    frame: (m, prev) => ({ file: m[1], line: m[2], fn: prev?.match(/^([\w./*()@-]+)\(/)?.[1] || null }),
+  },
+];
+
+// Dependencies, toolchains and runtimes; frames here are never the bug
+const VENDOR_PATH = /(^|\/)(node_modules|bower_components|jspm_packages|site-packages|dist-packages|vendor|third_party|\.cargo|\.rustup|pkg\/mod)\/|^(node:|internal\/|<anonymous>|native)|^\/usr\/(local\/)?(lib|go)\/|^\/rustc\/|\/lib\/python\d/;
+const VENDOR_PACKAGE = /^(java|javax|jdk|sun|com\.sun|kotlin|kotlinx|scala|org\.junit|org\.springframework|org\.apache)\./;
+
+/**
+ * Rank the repo locations that stack traces in `texts` point at. Returns up to MAX_SUSPECTS of
+ * { file, line, function, lang, score, excerpt }, best first; empty when nothing maps to the repo.
+ */
+function locateSuspects(texts, dir) {
+  const frames = texts.flatMap(extractFrames);
+  if (!frames.length) return [];
+  const index = indexRepoFiles(dir);
+
+  const scores = new Map();
+  for (const f of frames) {
+    const file = resolveFile(f.file, index);
+    if (!file) continue;
+    const key = `${file}:${f.line}`;
+    const entry = scores.get(key) || { file, line: f.line, function: f.fn, lang: f.lang, score: 0 };
+    // The innermost frame of each trace counts most
+    entry.score += 1 / (1 + f.depth);
+    entry.function ||= f.fn;
+    scores.set(key, entry);
+  }
+
+  const ranked = [...scores.values()].sort((a, b) => b.score - a.score).slice(0, MAX_SUSPECTS);
+  return ranked
+    .map(s => ({ ...s, score: Math.round(s.score * 100) / 100, excerpt: excerpt(dir, s.file, s.line) }))
+    .filter(s => s.excerpt);
+}
+
+// Prompt text for the ranked list
+function renderSuspects(suspects) {
+  return suspects.map((s, i) =>
+    `${i + 1}. \`${s.file}:${s.line}\`${s.function ? `（${s.function}）` : ""}\n\`\`\`\`\n${s.excerpt}\n\`\`\`\``
+  ).join("\n");
+}
+
+// Frames in the order they appear, with depth counted from the innermost frame of their trace
+function extractFrames(text) {
+  const frames = [];
+  let trace = [];
+  let prev = null;
+  const flush = () => {
+    const innermostLast = trace[0]?.innermostLast;
+    const ordered = innermostLast ? [...trace].reverse() : trace;
+    ordered.forEach((f, depth) => frames.push({ ...f, depth }));
+    trace = [];
+  };
+
+  for (const raw of String(text || "").split(/\r?\n/)) {
+    const line = raw.length > 1000 ? raw.slice(0, 1000) : raw;
+    let hit = null;
+    for (const p of FRAME_PATTERNS) {
+      const m = line.match(p.re);
+      if (!m) continue;
+      const f = p.frame(m, prev);
+      if (f.pkg && VENDOR_PACKAGE.test(f.pkg)) { hit = "skip"; break; }
+      const file = normalizePath(f.file);
+      if (!VENDOR_PATH.test(file)) hit = { file, line: Number(f.line), fn: f.fn ? f.fn.slice(0, 100) : null, lang: p.lang, innermostLast: !!p.innermostLast };
+      else hit = "skip";
+      break;
+    }
+    if (hit && hit !== "skip") {
+      // A different format starts a new trace
+      if (trace.length && trace[0].lang !== hit.lang) flush();
+      trace.push(hit);
+    } else if (!hit && trace.length && !isTraceFiller(line)) {
+      flush();
+    }
+    prev = line;
+  }
+  flush();
+  return frames.filter(f => f.line > 0);
+}
+
+// Lines between frames that do not end the trace: indented code echoes and symbol lines, Go function lines
+function isTraceFiller(line) {
+  return line.trim() !== "" && (/^\s/.test(line) || /^[\w./*()@$-]+\(.*\)\s*$/.test(line));
+}
+
+function normalizePath(file) {
+  return file
+    .replace(/^(file:\/\/|webpack(-internal)?:\/\/\/?(\.\/)?|\/?@fs)/, "")
+    .replace(/[?#].*$/, "")
+    .replace(/\\/g, "/")
+    .replace(/^[A-Za-z]:\//, "/")
+    .replace(/^(\.\/)+/, "");
+}
+
+function indexRepoFiles(dir) {
+  const index = new Map();
+  let listing = "";
+  try {
+    listing = execFileSync("git", ["ls-files"], { cwd: dir, timeout: 30000, encoding: "utf-8", maxBuffer: 64 * 1024 * 1024 });
+  } catch (_) {
+    return index;
+  }
+  for (const file of listing.split("\n")) {
+    if (!file) continue;
+    const base = path.posix.basename(file);
+    if (!index.has(base)) index.set(base, []);
+    index.get(base).push(file);
+  }
+  return index;
+}
+
+/**
+ * Repo path for a frame path. Absolute paths from the reporter's machine match by their longest
+ * repo-relative suffix; short paths (Java packages, relative Go/Rust paths) match repo files ending in them.
+ */
+function resolveFile(file, index) {
+  const candidates = index.get(path.posix.basename(file)) || [];
+  const suffixes = candidates.filter(c => file === c || file.endsWith(`/${c}`));
+  if (suffixes.length) return suffixes.reduce((a, b) => (b.length > a.length ? b : a));
+  const extended = candidates.filter(c => c.endsWith(`/${file}`));
+  return extended.length ? extended.reduce((a, b) => (b.length < a.length ? b : a)) : null;
+}
+
+function excerpt(dir, file, line) {
+  const source = readWorkspaceFile(dir, file);
+  if (source == null) return null;
+  const lines = source.split("\n");
+  if (line > lines.length) return null;
+  const from = Math.max(1, line - EXCERPT_RADIUS);
+  const to = Math.min(lines.length, line + EXCERPT_RADIUS);
+  const width = String(to).length;
+  const out = [];
+  for (let n = from; n <= to; n++) {
+    out.push(`${String(n).padStart(width)}${n === line ? ">" : " "}| ${lines[n - 1].slice(0, MAX_LINE_LENGTH)}`);
+  }
+  return out.join("\n");
+}
+
+/**
+ * Contents of a file in a checkout, or null unless it is a regular file inside dir. Repositories can
+ * commit symlinks to anywhere on the host, so links are refused and the resolved path re-checked.
+ */
+function readWorkspaceFile(dir, file, { maxBytes = 5 * 1024 * 1024 } = {}) {
+  const full = path.resolve(dir, file);
+  try {
+    const stat = fs.lstatSync(full);
+    if (!stat.isFile() || stat.size > maxBytes) return null;
+    const real = fs.realpathSync(full);
+    if (!real.startsWith(fs.realpathSync(dir) + path.sep)) return null;
+    return fs.readFileSync(real, "utf-8");
+  } catch (_) {
+    return null;
+  }
+}
+
+module.exports = { locateSuspects, renderSuspects, readWorkspaceFile };
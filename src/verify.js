@@ -0,0 +1,187 @@
+/**
+ * frost-autofix verification gate
+ * Detects the repo's test, lint and typecheck commands (or takes them from the repo config's
+ * `verify` section), runs them in the sandbox before the agent starts and again on the finished
+ * diff, and reports which failures are new. The consumer decides what a regression means for the PR.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { runSandboxed } = require("./sandbox");
+const { readWorkspaceFile } = require("./traces");
+
+const KINDS = ["test", "lint", "typecheck"];
+const MAX_FAILURES = 200;
+const OUTPUT_TAIL = 3000; // output ends up in the public check run
+
+// Values a test run may print that must not reach the PR or the check run
+const SECRET_PATTERNS = [
+  /\b(?:gh[pousr]_[A-Za-z0-9]{20,}|github_pat_[A-Za-z0-9_]{20,})\b/g,
+  /\bAKIA[0-9A-Z]{16}\b/g,
+  /\bxox[abprs]-[A-Za-z0-9-]{10,}/g,
+  /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g,
+  /\b(?:Bearer|token)\s+[A-Za-z0-9._~+\/=-]{16,}/gi,
+];
+const SECRET_ASSIGNMENT = /\b([A-Za-z0-9_]*(?:TOKEN|SECRET|PASSWORD|PASSWD|API_?KEY|PRIVATE_KEY|CREDENTIALS?)[A-Za-z0-9_]*)(\s*[=:]\s*)(["']?)[^\s"']+\3/gi;
+
+// Lines that name one failing test or diagnostic; line and column numbers are dropped so a fix
+// that shifts code does not turn old failures into new ones
+const FAILURE_PATTERNS = [
+  /^\s*(?:FAIL|✕|×)\s+(.+?)(?:\s+\(\d+\s*m?s\))?$/,   // jest, vitest
+  /^\s*\d+\) (.+)$/,                                    // mocha
+  /^(?:FAILED|ERROR) (\S+)/,                            // pytest
+  /^--- FAIL: (\S+)/,                                   // go test
+  /^test (\S+) \.\.\. FAILED/,                          // cargo test
+  /^(.+?)\(\d+,\d+\): (error TS\d+.*)$/,                // tsc
+  /^(.+?):\d+(?::\d+)?:?\s+((?:error|Error|E\d{3}|F\d{3}|W\d{3})\b.*)$/, // eslint (unix), ruff, flake8, mypy, go vet
+];
+
+/**
+ * Commands to run, as [{ kind, command, source }]. `configured` is the repo config's verify
+ * section: a string replaces detection for that kind, false disables it.
+ */
+function detectChecks(dir, configured = {}) {
+  const detected = detectCommands(dir);
+  const checks = [];
+  for (const kind of KINDS) {
+    const value = configured[kind];
+    if (value === false) continue;
+    if (typeof value === "string" && value.trim()) checks.push({ kind, command: value.trim(), source: "config" });
+    else if (detected[kind]) checks.push({ kind, ...detected[kind] });
+  }
+  return checks;
+}
+
+function detectCommands(dir) {
+  const has = file => fs.existsSync(path.join(dir, file));
+  const read = file => readWorkspaceFile(dir, file) || "";
+  const found = {};
+  const add = (kind, command, source) => { if (!found[kind]) found[kind] = { command, source }; };
+
+  if (has("package.json")) {
+    let scripts = {};
+    try { scripts = JSON.parse(read("package.json")).scripts || {}; } catch (_) { /* unreadable package.json */ }
+    const run = has("pnpm-lock.yaml") ? "pnpm run" : has("yarn.lock") ? "yarn run" : "npm run --silent";
+    if (scripts.test && !/no test specified/.test(scripts.test)) add("test", `${run} test`, "package.json");
+    if (scripts.lint) add("lint", `${run} lint`, "package.json");
+    const tc = ["typecheck", "type-check", "tsc", "check-types"].find(s => scripts[s]);
+    if (tc) add("typecheck", `${run} ${tc}`, "package.json");
+    else if (has("tsconfig.json") && has("node_modules/.bin/tsc")) add("typecheck", "node_modules/.bin/tsc --noEmit", "tsconfig.json");
+  }
+
+  if (has("Makefile")) {
+    const targets = new Set([...read("Makefile").matchAll(/^([\w-]+)\s*:(?!=)/gm)].map(m => m[1]));
+    if (targets.has("test")) add("test", "make test", "Makefile");
+    if (targets.has("lint")) add("lint", "make lint", "Makefile");
+    const tc = ["typecheck", "type-check", "check"].find(t => targets.has(t));
+    if (tc) add("typecheck", `make ${tc}`, "Makefile");
+  }
+
+  const pyproject = read("pyproject.toml");
+  const setupCfg = read("setup.cfg");
+  const toxIni = read("tox.ini");
+  if (pyproject || setupCfg || toxIni || has("setup.py") || has("pytest.ini")) {
+    if (/\[tool\.pytest|\[pytest\]|\[tool:pytest\]/.test(pyproject + setupCfg + toxIni) || has("pytest.ini") || has("tests") || has("conftest.py")) {
+      add("test", "python3 -m pytest -q -p no:cacheprovider", "pytest");
+    } else if (toxIni) {
+      add("test", "tox", "tox.ini");
+    }
+    if (/\[tool\.ruff/.test(pyproject) || has("ruff.toml") || has(".ruff.toml")) add("lint", "ruff check .", "ruff");
+    else if (/\[flake8\]/.test(setupCfg + toxIni) || has(".flake8")) add("lint", "python3 -m flake8", "flake8");
+    if (/\[tool\.mypy|\[mypy\]/.test(pyproject + setupCfg) || has("mypy.ini")) add("typecheck", "python3 -m mypy .", "mypy");
+  }
+
+  if (has("Cargo.toml")) {
+    add("test", "cargo test --offline --quiet", "Cargo.toml");
+    add("typecheck", "cargo check --offline --quiet --all-targets", "Cargo.toml");
+  }
+
+  if (has("go.mod")) {
+    add("test", "go test ./...", "go.mod");
+    add("lint", "go vet ./...", "go.mod");
+    add("typecheck", "go build ./...", "go.mod");
+  }
+
+  return found;
+}
+
+/**
+ * Run every check once. Returns [{ kind, command, passed, failures, output, error }]; a check that
+ * cannot run (timeout, sandbox error) counts as failed with error set.
+ */
+async function runChecks(profile, workspace, checks, signal) {
+  const results = [];
+  for (const check of checks) {
+    try {
+      const res = await runSandboxed(profile, workspace, "sh", ["-c", check.command], { signal, timeoutS: profile.verify_timeout_s });
+      const output = redactOutput(`${res.stdout}\n${res.stderr}`, workspace);
+      results.push({ ...check, passed: res.code === 0, failures: res.code === 0 ? [] : failureIds(output), output: output.slice(-OUTPUT_TAIL), error: null });
+    } catch (e) {
+      if (signal?.aborted) throw e;
+      results.push({ ...check, passed: false, failures: [], output: "", error: redactOutput(e.message, workspace).slice(0, 500) });
+    }
+  }
+  return results;
+}
+
+/**
+ * Compare the runs before and after the fix. Each entry is { kind, command, result, before,
+ * regression, inconclusive, new_failures, output }: a check regresses when it passed before and
+ * fails now, or when it fails with failures it did not have before. When the baseline failed without
+ * naming its failures, old and new ones cannot be told apart and a failure afterwards is inconclusive.
+ */
+function compareChecks(before, after) {
+  return after.map(a => {
+    const b = before.find(x => x.kind === a.kind && x.command === a.command);
+    const known = new Set(b?.failures || []);
+    const inconclusive = !a.passed && !!b && !b.passed && !b.failures.length;
+    const newFailures = a.passed || inconclusive ? [] : a.failures.filter(f => !known.has(f));
+    const regression = !a.passed && !inconclusive && (!b || b.passed || newFailures.length > 0);
+    return {
+      kind: a.kind,
+      command: a.command,
+      result: a.passed ? "passed" : "failed",
+      before: b ? (b.passed ? "passed" : "failed") : null,
+      regression,
+      inconclusive,
+      new_failures: newFailures.slice(0, 50),
+      output: regression ? (a.error || a.output) : "",
+    };
+  });
+}
+
+// Put the worktree back to the base commit; ignored files such as installed dependencies stay
+function resetWorkspace(workspace) {
+  const git = args => execFileSync("git", args, { cwd: workspace.dir, timeout: 60000, encoding: "utf-8" });
+  git(["reset", "--hard", "--quiet", workspace.baseSha]);
+  git(["clean", "-fdq"]);
+}
+
+// Check output is published, so paths on the consumer host and secret-looking values are masked
+function redactOutput(text, workspace) {
+  let out = String(text || "");
+  // home and gitDir sit next to dir with a longer name, so they go first
+  for (const [dir, label] of [[workspace.home, "~"], [workspace.gitDir, "<git>"], [workspace.dir, "."], [workspace.mirror, "<cache>"]]) {
+    if (dir) out = out.split(dir).join(label);
+  }
+  for (const re of SECRET_PATTERNS) out = out.replace(re, "[redacted]");
+  return out.replace(SECRET_ASSIGNMENT, "$1$2[redacted]");
+}
+
+function failureIds(output) {
+  const ids = new Set();
+  for (const line of output.split("\n")) {
+    for (const re of FAILURE_PATTERNS) {
+      const m = line.match(re);
+      if (m) {
+        ids.add(m.slice(1).filter(Boolean).join(": ").trim().slice(0, 300));
+        break;
+      }
+    }
+    if (ids.size >= MAX_FAILURES) break;
+  }
+  return [...ids];
+}
+
+module.exports = { detectChecks, detectCommands, runChecks, compareChecks, resetWorkspace, redactOutput };
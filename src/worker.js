@@ -3,6 +3,11 @@
  * v0.4.0: single Worker serves everything, no Pages dependency
  */
 
+import { parse as parseYaml } from "yaml";
+import { installationOctokit, getRepoFile, commentOnIssue, updateComment, getPullRequest, createCheckRun, getIssue, listReviewComments, listPullReviewComments, listWorkflowJobs, getJobLog, listSuiteCheckRuns, getRepository, createRepoToken, listOpenIssues } from "./github.js";
+import { pageParams } from "./paging.js";
+import defaultRepoConfig from "./default-config.json" with { type: "json" };
+
 const ENCODER = new TextEncoder();
 
 export default {
@@ -28,6 +33,8 @@ export default {
     // Webhook
     if (path === "/webhook" && request.method === "POST") return handleWebhook(request, env);
     if (path === "/callback" && request.method === "POST") return handleCallback(request, env);
+    if (path === "/callback/event" && request.method === "POST") return handleRunEvent(request, env);
+    if (path === "/callback/token" && request.method === "POST") return handleRunToken(request, env);
 
     // OAuth
     if (path === "/auth/login") return handleOAuthLogin(url, env);
@@ -38,10 +45,32 @@ export default {
     if (path === "/api/me") return withAuth(request, env, handleMe);
     if (path === "/api/my/installations") return withAuth(request, env, handleMyInstallations);
     if (path === "/api/my/runs") return withAuth(request, env, handleMyRuns);
+    if (/^\/api\/my\/runs\/\d+$/.test(path)) return withAuth(request, env, handleMyRun);
+    if (/^\/api\/my\/runs\/\d+\/rerun$/.test(path) && request.method === "POST") return withAuth(request, env, handleMyRerun);
     if (path === "/api/my/usage") return withAuth(request, env, handleMyUsage);
 
+    // Operator API
+    if (path.startsWith("/api/admin/")) return withOperator(request, env, handleAdmin);
+
     return new Response("Not Found", { status: 404 });
   },
+
+  async scheduled(event, env) {
+    if (event.cron === TICK_CRON) {
+      // Each job in its own try, so one failing does not starve the other
+      for (const job of [reconcileRuns, runBackfill]) {
+        try {
+          await job(env);
+        } catch (e) {
+          console.log(`${job.name} failed: ${e.message}`);
+        }
+      }
+      return;
+    }
+    // Delivery ids only need to outlive GitHub's redelivery window
+    await env.DB.prepare("DELETE FROM webhook_deliveries WHERE received_at<datetime('now','-7 days')").run();
+    await env.DB.prepare("DELETE FROM run_artifacts WHERE created_at<datetime('now','-90 days')").run();
+  },
 };
 
 // ─── Helpers ───
@@ -53,6 +82,11 @@ function json(data, status = 200) {
   return new Response(JSON.stringify(data), { status, headers: { "Content-Type": "application/json", ...corsHeaders() } });
 }
 
+// Lists fetch one row more than pageParams asked for, to report has_more
+function page(key, rows, { limit, offset }, extra = {}) {
+  return json({ [key]: rows.slice(0, limit), limit, offset, has_more: rows.length > limit, ...extra });
+}
+
 // ─── OAuth ───
 
 function handleOAuthLogin(url, env) {
@@ -83,242 +117,2058 @@ async function handleOAuthCallback(url, env) {
   });
   const user = await userRes.json();
 
-  const installRes = await fetch("https://api.github.com/user/installations", {
-    headers: { Authorization: `Bearer ${tokenData.access_token}`, "User-Agent": "frost-autofix" },
-  });
-  const installData = await installRes.json();
+  const installRes = await fetch("https://api.github.com/user/installations", {
+    headers: { Authorization: `Bearer ${tokenData.access_token}`, "User-Agent": "frost-autofix" },
+  });
+  const installData = await installRes.json();
+
+  const sessionToken = crypto.randomUUID() + "-" + crypto.randomUUID();
+  const expires = new Date(Date.now() + 30 * 86400000).toISOString();
+
+  await env.DB.prepare(
+    "INSERT OR REPLACE INTO sessions (token,github_user_id,github_login,github_avatar,access_token,expires_at) VALUES(?,?,?,?,?,?)"
+  ).bind(sessionToken, user.id, user.login, user.avatar_url, tokenData.access_token, expires).run();
+
+  if (installData.installations) {
+    for (const inst of installData.installations) {
+      await env.DB.prepare("INSERT OR IGNORE INTO user_installations (github_user_id,installation_id) VALUES(?,?)").bind(user.id, inst.id).run();
+    }
+  }
+
+  // Same-origin redirect — cookie works perfectly
+  return new Response(null, {
+    status: 302,
+    headers: {
+      Location: `${url.origin}/#dashboard`,
+      "Set-Cookie": `session=${sessionToken}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=${30 * 86400}`,
+    },
+  });
+}
+
+async function handleLogout(request, env) {
+  const token = getSessionToken(request);
+  if (token) await env.DB.prepare("DELETE FROM sessions WHERE token=?").bind(token).run();
+  return new Response(null, {
+    status: 200,
+    headers: { ...corsHeaders(), "Content-Type": "application/json", "Set-Cookie": "session=; Path=/; Max-Age=0" },
+  });
+}
+
+// ─── Auth middleware ───
+
+function getSessionToken(request) {
+  const auth = request.headers.get("Authorization");
+  if (auth?.startsWith("Bearer ")) return auth.slice(7);
+  const cookies = request.headers.get("Cookie") || "";
+  const m = cookies.match(/session=([^;]+)/);
+  return m?.[1] || null;
+}
+
+async function getSession(request, env) {
+  const token = getSessionToken(request);
+  if (!token) return null;
+  return env.DB.prepare("SELECT * FROM sessions WHERE token=? AND expires_at>datetime('now')").bind(token).first();
+}
+
+async function withAuth(request, env, handler) {
+  const session = await getSession(request, env);
+  if (!session) return json({ error: "unauthorized" }, 401);
+  return handler(session, env, request);
+}
+
+// ─── Authenticated handlers ───
+
+async function handleMe(session, env) {
+  return json({ login: session.github_login, avatar: session.github_avatar, user_id: session.github_user_id, operator: isOperator(env, session) });
+}
+
+async function handleMyInstallations(session, env) {
+  const rows = await env.DB.prepare(
+    "SELECT i.* FROM installations i JOIN user_installations ui ON ui.installation_id=i.github_installation_id WHERE ui.github_user_id=? ORDER BY i.created_at DESC"
+  ).bind(session.github_user_id).all();
+  const month = currentMonth();
+  const results = [];
+  for (const inst of rows.results || []) {
+    const usage = await env.DB.prepare("SELECT pr_count,reserved FROM usage_monthly WHERE installation_id=? AND month=?").bind(inst.github_installation_id, month).first();
+    const outcomes = await prOutcomes(env, "installation_id=?", [inst.github_installation_id]);
+    const backfill = await env.DB.prepare("SELECT status,COUNT(*) as c FROM backfill_issues WHERE installation_id=? GROUP BY status").bind(inst.github_installation_id).all();
+    const counts = Object.fromEntries((backfill.results || []).map(r => [r.status, r.c]));
+    results.push({
+      ...inst, current_month_prs: usage?.pr_count || 0, current_month_reserved: usage?.reserved || 0, ...outcomes,
+      backfill: backfill.results?.length ? { pending: counts.pending || 0, queued: counts.queued || 0, skipped: counts.skipped || 0 } : null,
+    });
+  }
+  return json({ installations: results });
+}
+
+// Filtered by repo, status and from / to (YYYY-MM-DD, both inclusive); repos lists every repo
+// with runs, for the filter
+async function handleMyRuns(session, env, request) {
+  const params = new URL(request.url).searchParams;
+  const paging = pageParams(params);
+  const where = ["ui.github_user_id=?"];
+  const binds = [session.github_user_id];
+  for (const [key, clause] of [["repo", "fr.repo=?"], ["status", "fr.status=?"], ["from", "fr.created_at>=date(?)"], ["to", "fr.created_at<date(?,'+1 day')"]]) {
+    const value = params.get(key);
+    if (!value) continue;
+    if ((key === "from" || key === "to") && !/^\d{4}-\d{2}-\d{2}$/.test(value)) return json({ error: "invalid_date", message: `${key} must look like YYYY-MM-DD` }, 400);
+    where.push(clause);
+    binds.push(value);
+  }
+  const [runs, repos] = await env.DB.batch([
+    env.DB.prepare(
+      `SELECT fr.* FROM fix_runs fr JOIN user_installations ui ON ui.installation_id=fr.installation_id WHERE ${where.join(" AND ")} ORDER BY fr.created_at DESC,fr.id DESC LIMIT ? OFFSET ?`
+    ).bind(...binds, paging.limit + 1, paging.offset),
+    env.DB.prepare(
+      "SELECT DISTINCT fr.repo FROM fix_runs fr JOIN user_installations ui ON ui.installation_id=fr.installation_id WHERE ui.github_user_id=? ORDER BY fr.repo"
+    ).bind(session.github_user_id),
+  ]);
+  const list = runs.results || [];
+  const timelines = await loadTimelines(env, list.slice(0, paging.limit).map(r => r.id));
+  return page("runs", list.map(r => ({ ...r, suspects: r.suspects ? JSON.parse(r.suspects) : null, timeline: timelines.get(r.id) })), paging, {
+    repos: (repos.results || []).map(r => r.repo),
+  });
+}
+
+async function handleMyRun(session, env, request) {
+  const run = await findMyRun(env, session, request);
+  if (!run) return json({ error: "run_not_found" }, 404);
+  const timeline = (await loadTimelines(env, [run.id])).get(run.id);
+  const artifacts = await env.DB.prepare("SELECT summary,diff,log,created_at FROM run_artifacts WHERE run_id=?").bind(run.id).first();
+  return json({ run: { ...run, suspects: run.suspects ? JSON.parse(run.suspects) : null, timeline, artifacts: artifacts || null, can_rerun: !(await rerunRefusal(env, run)) } });
+}
+
+// Queue the run's issue again, within the installation's quota
+async function handleMyRerun(session, env, request) {
+  const run = await findMyRun(env, session, request);
+  if (!run) return json({ error: "run_not_found" }, 404);
+  const refusal = await rerunRefusal(env, run);
+  if (refusal) return json(refusal, 409);
+  const result = await rerunIssue(env, run, { by: session.github_login });
+  if (result.error) return json(result, RERUN_UNAVAILABLE.includes(result.error) ? 502 : 409);
+  await recordAudit(env, { installationId: run.installation_id, actor: session.github_login, action: "run_rerun", target: `${run.repo}#${run.issue_number}`, detail: { run_id: run.id, new_run_id: result.run_id } });
+  return json(result);
+}
+
+// The run named by /api/my/runs/:id, when it belongs to one of the user's installations
+async function findMyRun(env, session, request) {
+  const runId = Number(new URL(request.url).pathname.split("/")[4]);
+  return env.DB.prepare(
+    "SELECT fr.* FROM fix_runs fr JOIN user_installations ui ON ui.installation_id=fr.installation_id WHERE ui.github_user_id=? AND fr.id=?"
+  ).bind(session.github_user_id, runId).first();
+}
+
+async function handleMyUsage(session, env) {
+  const rows = await env.DB.prepare(
+    "SELECT um.*,i.account_login FROM usage_monthly um JOIN user_installations ui ON ui.installation_id=um.installation_id JOIN installations i ON i.github_installation_id=um.installation_id WHERE ui.github_user_id=? ORDER BY um.month DESC LIMIT 12"
+  ).bind(session.github_user_id).all();
+  return json({ usage: rows.results || [] });
+}
+
+// ─── Operator admin ───
+// /api/admin/ is for the people running the service: the numeric GitHub user ids listed in
+// OPERATOR_USER_IDS (comma separated). Ids, unlike logins, cannot be renamed away and claimed by
+// someone else. Every change made through it is written to audit_log with an admin_ action.
+
+function isOperator(env, session) {
+  const ids = String(env.OPERATOR_USER_IDS || "").split(",").map(id => Number(id.trim())).filter(id => Number.isInteger(id) && id > 0);
+  return ids.includes(Number(session.github_user_id));
+}
+
+async function withOperator(request, env, handler) {
+  return withAuth(request, env, (session, env, request) => {
+    if (!isOperator(env, session)) return json({ error: "forbidden" }, 403);
+    return handler(session, env, request);
+  });
+}
+
+async function handleAdmin(session, env, request) {
+  const url = new URL(request.url);
+  const path = url.pathname.slice("/api/admin".length);
+  const params = url.searchParams;
+  const actor = session.github_login;
+  let m;
+  if (request.method === "GET") {
+    if (path === "/installations") return adminListInstallations(env, params);
+    if ((m = path.match(/^\/installations\/(\d+)$/))) return adminGetInstallation(env, Number(m[1]));
+    if (path === "/runs") return adminListRuns(env, params);
+    if ((m = path.match(/^\/runs\/(\d+)$/))) return adminGetRun(env, Number(m[1]));
+    if (path === "/audit") return adminListAudit(env, params);
+  } else if (request.method === "POST") {
+    // Cancel and re-drive take no body
+    const body = await request.text().then(text => (text ? JSON.parse(text) : {})).catch(() => null);
+    if (!isPlainObject(body)) return json({ error: "invalid_json" }, 400);
+    if ((m = path.match(/^\/installations\/(\d+)\/plan$/))) return adminSetPlan(env, actor, Number(m[1]), body);
+    if ((m = path.match(/^\/installations\/(\d+)\/usage\/reset$/))) return adminResetUsage(env, actor, Number(m[1]), body);
+    if ((m = path.match(/^\/runs\/(\d+)\/cancel$/))) return adminCancelRun(env, actor, Number(m[1]));
+    if ((m = path.match(/^\/runs\/(\d+)\/redrive$/))) return adminRedriveRun(env, actor, Number(m[1]));
+  }
+  return json({ error: "not_found" }, 404);
+}
+
+// q matches the account login, or the installation or account id when it is a number
+async function adminListInstallations(env, params) {
+  const paging = pageParams(params);
+  const where = [];
+  const binds = [];
+  const q = params.get("q")?.trim();
+  if (q && /^\d+$/.test(q)) {
+    where.push("(i.github_installation_id=? OR i.account_id=?)");
+    binds.push(Number(q), Number(q));
+  } else if (q) {
+    where.push("i.account_login LIKE ? ESCAPE '\\'");
+    binds.push(`%${q.replace(/[\\%_]/g, "\\$&")}%`);
+  }
+  if (params.get("plan")) {
+    where.push("i.plan=?");
+    binds.push(params.get("plan"));
+  }
+  const rows = await env.DB.prepare(
+    `SELECT i.*,COALESCE(u.pr_count,0) as current_month_prs,COALESCE(u.reserved,0) as current_month_reserved,
+     (SELECT COUNT(*) FROM fix_runs r WHERE r.installation_id=i.github_installation_id AND r.status IN('queued','processing')) as active_runs
+     FROM installations i LEFT JOIN usage_monthly u ON u.installation_id=i.github_installation_id AND u.month=?
+     ${where.length ? `WHERE ${where.join(" AND ")}` : ""} ORDER BY i.created_at DESC,i.id DESC LIMIT ? OFFSET ?`
+  ).bind(currentMonth(), ...binds, paging.limit + 1, paging.offset).all();
+  return page("installations", rows.results || [], paging);
+}
+
+async function adminGetInstallation(env, installId) {
+  const inst = await env.DB.prepare("SELECT * FROM installations WHERE github_installation_id=?").bind(installId).first();
+  if (!inst) return json({ error: "installation_not_found" }, 404);
+  const [usage, runs, plans, audit] = await env.DB.batch([
+    env.DB.prepare("SELECT * FROM usage_monthly WHERE installation_id=? ORDER BY month DESC LIMIT 12").bind(installId),
+    env.DB.prepare("SELECT * FROM fix_runs WHERE installation_id=? ORDER BY id DESC LIMIT 20").bind(installId),
+    env.DB.prepare("SELECT * FROM plan_history WHERE account_id=? OR account_login=? ORDER BY id DESC LIMIT 20").bind(inst.account_id ?? null, inst.account_login),
+    env.DB.prepare("SELECT * FROM audit_log WHERE installation_id=? ORDER BY id DESC LIMIT 20").bind(installId),
+  ]);
+  return json({
+    installation: inst, ...(await prOutcomes(env, "installation_id=?", [installId])),
+    usage: usage.results, runs: runs.results, plan_history: plans.results, audit: audit.results,
+  });
+}
+
+// A plan without pr_limit gets that plan's default limit; a suspended installation keeps its
+// plan and gets the new one as the plan to restore. The next Marketplace event overrides both.
+async function adminSetPlan(env, actor, installId, body) {
+  const inst = await env.DB.prepare("SELECT * FROM installations WHERE github_installation_id=?").bind(installId).first();
+  if (!inst) return json({ error: "installation_not_found" }, 404);
+  const errors = [];
+  if (body.plan != null && !Object.hasOwn(MARKETPLACE_PLANS, body.plan)) errors.push(`plan must be one of: ${Object.keys(MARKETPLACE_PLANS).join(", ")}`);
+  if (body.pr_limit != null && !(Number.isInteger(body.pr_limit) && (body.pr_limit === -1 || body.pr_limit > 0))) errors.push("pr_limit must be -1 (unlimited) or a positive integer");
+  if (body.plan == null && body.pr_limit == null) errors.push("plan or pr_limit is required");
+  if (errors.length) return json({ error: "invalid_request", errors }, 400);
+
+  const changes = {};
+  if (body.plan != null) changes[inst.plan === "suspended" ? "previous_plan" : "plan"] = body.plan;
+  changes.pr_limit = body.pr_limit ?? (body.plan != null ? MARKETPLACE_PLANS[body.plan].pr_limit : inst.pr_limit);
+  await env.DB.prepare(
+    `UPDATE installations SET ${Object.keys(changes).map(c => `${c}=?`).join(",")},updated_at=datetime('now') WHERE github_installation_id=?`
+  ).bind(...Object.values(changes), installId).run();
+  await recordAudit(env, {
+    installationId: installId, actor, action: "admin_plan_changed", target: inst.account_login,
+    detail: { from: { plan: inst.plan, previous_plan: inst.previous_plan, pr_limit: inst.pr_limit }, to: changes },
+  });
+  return json({ status: "updated", installation: await env.DB.prepare("SELECT * FROM installations WHERE github_installation_id=?").bind(installId).first() });
+}
+
+// Clears the PRs counted for a month (the current one by default); slots reserved by runs in
+// flight stay, those runs settle them
+async function adminResetUsage(env, actor, installId, body) {
+  const inst = await env.DB.prepare("SELECT account_login FROM installations WHERE github_installation_id=?").bind(installId).first();
+  if (!inst) return json({ error: "installation_not_found" }, 404);
+  const month = body.month ?? currentMonth();
+  if (!/^\d{4}-\d{2}$/.test(month)) return json({ error: "invalid_request", errors: ["month must look like YYYY-MM"] }, 400);
+  const usage = await env.DB.prepare("SELECT pr_count,reserved FROM usage_monthly WHERE installation_id=? AND month=?").bind(installId, month).first();
+  if (!usage?.pr_count) return json({ status: "unchanged", month, pr_count: 0, reserved: usage?.reserved || 0 });
+  await env.DB.prepare("UPDATE usage_monthly SET pr_count=0 WHERE installation_id=? AND month=?").bind(installId, month).run();
+  await recordAudit(env, { installationId: installId, actor, action: "admin_usage_reset", target: inst.account_login, detail: { month, pr_count: usage.pr_count } });
+  return json({ status: "reset", month, pr_count: 0, reserved: usage.reserved });
+}
+
+async function adminListRuns(env, params) {
+  const paging = pageParams(params);
+  const where = [];
+  const binds = [];
+  const filters = { installation_id: "r.installation_id=?", repo: "r.repo=?", status: "r.status=?", kind: "r.kind=?" };
+  for (const [key, clause] of Object.entries(filters)) {
+    const value = params.get(key);
+    if (!value) continue;
+    where.push(clause);
+    binds.push(key === "installation_id" ? Number(value) : value);
+  }
+  const rows = await env.DB.prepare(
+    `SELECT r.*,i.account_login FROM fix_runs r LEFT JOIN installations i ON i.github_installation_id=r.installation_id
+     ${where.length ? `WHERE ${where.join(" AND ")}` : ""} ORDER BY r.id DESC LIMIT ? OFFSET ?`
+  ).bind(...binds, paging.limit + 1, paging.offset).all();
+  return page("runs", rows.results || [], paging);
+}
+
+async function adminGetRun(env, runId) {
+  const run = await env.DB.prepare(
+    "SELECT r.*,i.account_login,i.plan FROM fix_runs r LEFT JOIN installations i ON i.github_installation_id=r.installation_id WHERE r.id=?"
+  ).bind(runId).first();
+  if (!run) return json({ error: "run_not_found" }, 404);
+  const timeline = (await loadTimelines(env, [runId])).get(runId);
+  const followUps = await env.DB.prepare("SELECT id,kind,status,created_at FROM fix_runs WHERE parent_run_id=? ORDER BY id").bind(runId).all();
+  const artifacts = await env.DB.prepare("SELECT summary,diff,log,created_at FROM run_artifacts WHERE run_id=?").bind(runId).first();
+  return json({ run: { ...run, suspects: run.suspects ? JSON.parse(run.suspects) : null, timeline, follow_ups: followUps.results || [], artifacts: artifacts || null } });
+}
+
+async function adminCancelRun(env, actor, runId) {
+  const run = await env.DB.prepare("SELECT * FROM fix_runs WHERE id=?").bind(runId).first();
+  if (!run) return json({ error: "run_not_found" }, 404);
+  if (!(await cancelRun(env, runId, { operator: true }))) return json({ error: "run_finished", message: `Run #${runId} is ${run.status}` }, 409);
+  await recordAudit(env, { installationId: run.installation_id, actor, action: "admin_run_cancelled", target: `${run.repo}#${run.issue_number}`, detail: { run_id: runId, status: run.status } });
+  return json({ status: "cancelled", run_id: runId });
+}
+
+// A queued or processing run is taken to be stuck and cancelled first
+async function adminRedriveRun(env, actor, runId) {
+  const run = await env.DB.prepare("SELECT * FROM fix_runs WHERE id=?").bind(runId).first();
+  if (!run) return json({ error: "run_not_found" }, 404);
+  const refusal = await rerunRefusal(env, run, { allowActive: true });
+  if (refusal) return json(refusal, 409);
+  const result = await rerunIssue(env, run, { operator: true });
+  if (result.error) return json(result, RERUN_UNAVAILABLE.includes(result.error) ? 502 : 409);
+  await recordAudit(env, { installationId: run.installation_id, actor, action: "admin_run_redriven", target: `${run.repo}#${run.issue_number}`, detail: { run_id: runId, status: run.status, new_run_id: result.run_id } });
+  return json(result);
+}
+
+async function adminListAudit(env, params) {
+  const paging = pageParams(params);
+  const where = [];
+  const binds = [];
+  if (params.get("installation_id")) {
+    where.push("installation_id=?");
+    binds.push(Number(params.get("installation_id")));
+  }
+  if (params.get("actor")) {
+    where.push("actor=?");
+    binds.push(params.get("actor"));
+  }
+  // "admin_" lists every operator action
+  if (params.get("action")) {
+    where.push(params.get("action").endsWith("_") ? "action LIKE ?" : "action=?");
+    binds.push(params.get("action").endsWith("_") ? `${params.get("action")}%` : params.get("action"));
+  }
+  const rows = await env.DB.prepare(
+    `SELECT * FROM audit_log ${where.length ? `WHERE ${where.join(" AND ")}` : ""} ORDER BY id DESC LIMIT ? OFFSET ?`
+  ).bind(...binds, paging.limit + 1, paging.offset).all();
+  return page("entries", (rows.results || []).map(e => ({ ...e, detail: e.detail ? JSON.parse(e.detail) : null })), paging);
+}
+
+// ─── Public stats ───
+
+async function handleStats(env) {
+  const installs = await env.DB.prepare("SELECT COUNT(*) as c FROM installations").first();
+  // Revisions and CI repairs update an existing PR, they are not fixes of their own
+  const runs = await env.DB.prepare("SELECT COUNT(*) as c FROM fix_runs WHERE kind='fix'").first();
+  const prs = await env.DB.prepare("SELECT COUNT(*) as c FROM fix_runs WHERE status='success' AND kind='fix'").first();
+  // success_rate is the share of runs that opened a PR, merge_rate the share of PRs that got merged
+  const rate = runs.c > 0 ? Math.round((prs.c / runs.c) * 100) : 0;
+  const outcomes = await prOutcomes(env);
+  const recent = await env.DB.prepare("SELECT repo,issue_number,pr_number,status,pr_state,created_at FROM fix_runs ORDER BY created_at DESC LIMIT 10").all();
+  return json({ installations: installs.c, total_runs: runs.c, prs_created: prs.c, success_rate: rate, ...outcomes, recent: recent.results || [] });
+}
+
+// ─── Webhook ───
+
+async function handleWebhook(request, env) {
+  const body = await request.text();
+  const signature = request.headers.get("x-hub-signature-256");
+  if (!signature || !env.GITHUB_WEBHOOK_SECRET) return new Response("Missing signature", { status: 401 });
+  if (!(await verifySignature(body, signature, env.GITHUB_WEBHOOK_SECRET))) return new Response("Invalid signature", { status: 401 });
+
+  const event = request.headers.get("x-github-event");
+  const payload = JSON.parse(body);
+
+  // Redelivered webhooks carry the same delivery id. The id is claimed before handling so concurrent
+  // redeliveries run once, and given back when handling fails so GitHub's redelivery is not dropped.
+  const delivery = request.headers.get("x-github-delivery");
+  if (delivery) {
+    const seen = await env.DB.prepare("INSERT OR IGNORE INTO webhook_deliveries (delivery_id,event) VALUES(?,?)").bind(delivery, event).run();
+    if (!seen.meta.changes) return json({ status: "duplicate", delivery });
+  }
+  try {
+    return await routeWebhook(event, payload, env);
+  } catch (e) {
+    if (delivery) await env.DB.prepare("DELETE FROM webhook_deliveries WHERE delivery_id=?").bind(delivery).run().catch(() => {});
+    throw e;
+  }
+}
+
+async function routeWebhook(event, payload, env) {
+  // Installation lifecycle
+  if (event === "installation") return handleInstallationEvent(payload, env);
+  if (event === "installation_repositories") return handleInstallationRepos(payload, env);
+  if (event === "marketplace_purchase") return handleMarketplacePurchase(payload, env);
+
+  // Fix triggers
+  if (event === "issues" && payload.action === "opened") return handleIssueOpened(payload, env);
+  if (event === "issues" && payload.action === "labeled") return handleIssueLabeled(payload, env);
+  if (event === "issue_comment" && payload.action === "created") {
+    // Bots (including this app's own replies) never trigger runs
+    if (isBot(payload.comment?.user) || isBot(payload.sender)) return json({ status: "ignored", reason: "bot" });
+    const command = parseCommand(payload.comment?.body);
+    if (command) return handleCommand(payload, env, command);
+  }
+
+  // Review feedback on fix PRs
+  if (event === "pull_request_review" && payload.action === "submitted") {
+    if (isBot(payload.review?.user) || isBot(payload.sender)) return json({ status: "ignored", reason: "bot" });
+    return handlePullRequestReview(payload, env);
+  }
+  if (event === "pull_request_review_comment" && payload.action === "created") {
+    if (isBot(payload.comment?.user) || isBot(payload.sender)) return json({ status: "ignored", reason: "bot" });
+    return handlePullRequestReviewComment(payload, env);
+  }
+
+  // CI results on fix PRs; GitHub Actions reports through workflow_run, other CI apps through check_suite
+  if (event === "workflow_run" && payload.action === "completed") {
+    const wr = payload.workflow_run;
+    return handleCiCompleted(payload, env, {
+      source: "workflow_run", id: wr.id, name: wr.name, conclusion: wr.conclusion, head_sha: wr.head_sha, url: wr.html_url, pull_requests: wr.pull_requests || [],
+    });
+  }
+  if (event === "check_suite" && payload.action === "completed") {
+    const suite = payload.check_suite;
+    if (suite.app?.slug === "github-actions" || String(suite.app?.id) === String(env.GITHUB_APP_ID)) return json({ status: "ignored", reason: "own_or_actions_suite" });
+    return handleCiCompleted(payload, env, {
+      source: "check_suite", id: suite.id, name: suite.app?.name || "CI", conclusion: suite.conclusion, head_sha: suite.head_sha, url: null, pull_requests: suite.pull_requests || [],
+    });
+  }
+
+  // Outcomes of fix PRs
+  if (event === "pull_request" && ["closed", "reopened"].includes(payload.action)) return handlePullRequestOutcome(payload, env);
+  return json({ status: "ignored", event });
+}
+
+async function handleInstallationEvent(payload, env) {
+  const inst = payload.installation;
+  const action = payload.action;
+
+  if (action === "created") {
+    await env.DB.prepare(
+      "INSERT OR IGNORE INTO installations (github_installation_id,account_login,account_type,account_id) VALUES(?,?,?,?)"
+    ).bind(inst.id, inst.account.login, inst.account.type, inst.account.id ?? null).run();
+    await applyStoredPlan(env, inst.account);
+    // Link sender to installation
+    if (payload.sender?.id) {
+      await env.DB.prepare("INSERT OR IGNORE INTO user_installations (github_user_id,installation_id) VALUES(?,?)").bind(payload.sender.id, inst.id).run();
+    }
+    return json({ status: "ok", action, backfill: await scheduleBackfill(env, payload, payload.repositories || []) });
+  } else if (action === "deleted") {
+    await env.DB.prepare("DELETE FROM installations WHERE github_installation_id=?").bind(inst.id).run();
+    await env.DB.prepare("DELETE FROM user_installations WHERE installation_id=?").bind(inst.id).run();
+  } else if (action === "suspend") {
+    // The paid plan survives the suspension
+    await env.DB.prepare(
+      "UPDATE installations SET previous_plan=CASE WHEN plan='suspended' THEN previous_plan ELSE plan END,plan='suspended',updated_at=datetime('now') WHERE github_installation_id=?"
+    ).bind(inst.id).run();
+  } else if (action === "unsuspend") {
+    await env.DB.prepare(
+      "UPDATE installations SET plan=COALESCE(previous_plan,'free'),previous_plan=NULL,updated_at=datetime('now') WHERE github_installation_id=? AND plan='suspended'"
+    ).bind(inst.id).run();
+  }
+  return json({ status: "ok", action });
+}
+
+async function handleInstallationRepos(payload, env) {
+  // Per-repo settings live in .github/frost-autofix.yml and are read on each webhook (see loadRepoConfig)
+  let backfill = [];
+  if (payload.action === "added") {
+    await ensureInstallation(payload, env);
+    backfill = await scheduleBackfill(env, payload, payload.repositories_added || []);
+  }
+  return json({ status: "ok", action: payload.action, repos_added: payload.repositories_added?.length || 0, repos_removed: payload.repositories_removed?.length || 0, backfill });
+}
+
+// Auto-create installation record if missing (handles race conditions / missed webhooks)
+async function ensureInstallation(payload, env) {
+  const inst = payload.installation;
+  if (!inst?.id) return;
+  const login = inst.account?.login || payload.repository?.owner?.login || "unknown";
+  const type = inst.account?.type || "User";
+  const res = await env.DB.prepare(
+    "INSERT OR IGNORE INTO installations (github_installation_id,account_login,account_type,account_id) VALUES(?,?,?,?)"
+  ).bind(inst.id, login, type, inst.account?.id ?? null).run();
+  if (res.meta.changes) await applyStoredPlan(env, { id: inst.account?.id, login });
+}
+
+async function handleIssueOpened(payload, env) {
+  const issue = payload.issue;
+  const repo = payload.repository.full_name;
+  const installId = payload.installation?.id;
+  if (!installId) return json({ status: "skipped", reason: "no_installation" });
+  // Issues filed by bots (dependency updaters, other automation) are not picked up
+  if (isBot(payload.sender)) return json({ status: "ignored", reason: "bot" });
+
+  const { config, errors } = await loadRepoConfig(env, installId, repo);
+  if (!looksLikeBug(issue.title, issue.body || "", issue.labels || [], config.trigger)) return json({ status: "skipped", reason: "not_bug" });
+  // Only issues that would have been picked up get the reply, so a broken file doesn't comment on every issue
+  if (errors.length) {
+    await replyToIssue(env, payload, invalidConfigMessage(errors));
+    return json({ status: "skipped", reason: "invalid_config", errors });
+  }
+
+  await ensureInstallation(payload, env);
+  return json(await queueIssueRun(env, payload, config));
+}
+
+// Adding a trigger label to an existing issue starts a run, once per issue
+async function handleIssueLabeled(payload, env) {
+  const issue = payload.issue;
+  const repo = payload.repository.full_name;
+  const installId = payload.installation?.id;
+  if (!installId) return json({ status: "skipped", reason: "no_installation" });
+  // Bots relabeling issues (triage automation) do not start runs, as for new issues
+  if (isBot(payload.sender)) return json({ status: "ignored", reason: "bot" });
+  if (issue.state !== "open") return json({ status: "skipped", reason: "issue_closed" });
+
+  const { config, errors } = await loadRepoConfig(env, installId, repo);
+  if (errors.length) return json({ status: "skipped", reason: "invalid_config", errors });
+  if (!hasTriggerLabel([payload.label || {}], config.trigger)) return json({ status: "skipped", reason: "not_trigger_label" });
+  // Issues opened with the label get both events; later runs are started with /fix retry
+  if (await hasAnyRun(env, installId, repo, issue.number)) return json({ status: "skipped", reason: "already_handled" });
+
+  await ensureInstallation(payload, env);
+  return json(await queueIssueRun(env, payload, config));
+}
+
+/**
+ * Start a run for an issue picked up without a /fix command and hand it to the backend. The plan
+ * and quota limits are explained on the issue unless quiet. Returns { status, reason?, run_id? }.
+ */
+async function queueIssueRun(env, payload, config, { quiet = false } = {}) {
+  const issue = payload.issue;
+  const repo = payload.repository.full_name;
+  const installId = payload.installation.id;
+  const { run, install, limitReached, privateRepo } = await startRun(env, installId, repo, issue.number, { isPrivate: payload.repository.private });
+  if (run?.existing) return { status: "already_queued", run_id: run.id, run_status: run.status };
+  if (privateRepo) {
+    if (!quiet) await replyToIssue(env, payload, privateRepoMessage(install));
+    return { status: "skipped", reason: "private_repo" };
+  }
+  if (limitReached) {
+    if (!quiet) await replyToIssue(env, payload, limitReachedMessage(install));
+    return { status: "skipped", reason: "limit_reached" };
+  }
+  if (!(await forwardToBackend(env, { run_id: run.id, installation_id: installId, plan: install.plan, repo, issue_number: issue.number, issue_title: issue.title, issue_body: issue.body, config }))) {
+    return { status: "failed", reason: "backend_unavailable", run_id: run.id };
+  }
+  await postRunStatus(env, run.id, "queued");
+  return { status: "queued", repo, issue: issue.number, run_id: run.id };
+}
+
+/**
+ * Every trigger path goes through here: reuse the issue's active run, otherwise check the plan
+ * covers the repo, reserve a quota slot and create the run. Returns { run, install, limitReached, privateRepo }.
+ */
+async function startRun(env, installId, repo, issueNumber, { isPrivate = false } = {}) {
+  const install = await env.DB.prepare("SELECT * FROM installations WHERE github_installation_id=?").bind(installId).first();
+  // A suspended installation keeps its pr_limit (-1 on Pro), so it is turned away before any reservation
+  if (install.plan === "suspended") return { run: null, install, limitReached: true };
+  const active = await findActiveRun(env, installId, repo, issueNumber);
+  if (active) return { run: { ...active, existing: true }, install, limitReached: false };
+  if (!planCoversRepo(install, isPrivate)) return { run: null, install, limitReached: false, privateRepo: true };
+
+  const month = await reserveQuota(env, install);
+  if (!month) return { run: null, install, limitReached: true };
+  const run = await createRun(env, installId, repo, issueNumber, month);
+  // Lost a race with a concurrent trigger for the same issue
+  if (run.existing) await releaseQuota(env, installId, month);
+  return { run, install, limitReached: false };
+}
+
+// One active run per issue: the insert only happens when no queued/processing run exists.
+// Follow-ups on a fix PR (kind "revise" or "ci_repair") hold no quota: they add commits to a PR
+// that was already counted, and carry its number from the start
+async function createRun(env, installId, repo, issueNumber, quotaMonth, { kind = "fix", parentRunId = null, prNumber = null, headSha = null } = {}) {
+  const res = await env.DB.prepare(
+    "INSERT INTO fix_runs (installation_id,repo,issue_number,status,quota_month,quota_state,kind,parent_run_id,pr_number,head_sha) SELECT ?,?,?,'queued',?,?,?,?,?,? WHERE NOT EXISTS (SELECT 1 FROM fix_runs WHERE installation_id=? AND repo=? AND issue_number=? AND status IN('queued','processing'))"
+  ).bind(installId, repo, issueNumber, quotaMonth, quotaMonth ? "reserved" : null, kind, parentRunId, prNumber, headSha, installId, repo, issueNumber).run();
+  if (!res.meta.changes) {
+    const active = await findActiveRun(env, installId, repo, issueNumber);
+    return { id: active?.id, status: active?.status, existing: true };
+  }
+  const runId = res.meta.last_row_id;
+  await recordRunEvent(env, runId, "queued");
+  return { id: runId, status: "queued", existing: false };
+}
+
+async function findActiveRun(env, installId, repo, issueNumber) {
+  return env.DB.prepare(
+    "SELECT id,status FROM fix_runs WHERE installation_id=? AND repo=? AND issue_number=? AND status IN('queued','processing') ORDER BY id DESC LIMIT 1"
+  ).bind(installId, repo, issueNumber).first();
+}
+
+async function hasAnyRun(env, installId, repo, issueNumber) {
+  return !!(await env.DB.prepare("SELECT 1 FROM fix_runs WHERE installation_id=? AND repo=? AND issue_number=? LIMIT 1").bind(installId, repo, issueNumber).first());
+}
+
+// Why a run cannot be started over, or null. Revisions and CI repairs carry review comments and
+// CI logs the Worker does not keep, so they are started again from GitHub instead. A later run
+// that succeeded has already opened a PR for the issue; another would open a second one.
+async function rerunRefusal(env, run, { allowActive = false } = {}) {
+  if (run.kind !== "fix") return { error: "unsupported_kind", message: `Run #${run.id} is a ${run.kind} run; those are started again from the pull request` };
+  if (run.status === "success") return { error: "run_succeeded", message: `Run #${run.id} already succeeded` };
+  if (!allowActive && ["queued", "processing"].includes(run.status)) return { error: "run_active", message: `Run #${run.id} is still ${run.status}` };
+  const newer = await env.DB.prepare(
+    "SELECT id FROM fix_runs WHERE installation_id=? AND repo=? AND issue_number=? AND id>? AND status='success' ORDER BY id DESC LIMIT 1"
+  ).bind(run.installation_id, run.repo, run.issue_number, run.id).first();
+  if (newer) return { error: "superseded", message: `Run #${newer.id} already succeeded for this issue` };
+  return null;
+}
+
+// 502 when GitHub or the fix queue could not be reached, 409 when the run cannot be started over
+const RERUN_UNAVAILABLE = ["github_unavailable", "backend_unavailable"];
+
+/**
+ * Start a run's issue over as a new fix run, through the same plan and quota checks as /fix. An
+ * operator's re-drive cancels the run first when it is still queued or processing, and is not
+ * named on the issue. Returns { status: "queued", run_id, from_run } or { error, message }.
+ */
+async function rerunIssue(env, run, { by = null, operator = false } = {}) {
+  let issue, repository;
+  try {
+    const octokit = installationOctokit(env, run.installation_id);
+    issue = await getIssue(octokit, run.repo, run.issue_number);
+    repository = await getRepository(octokit, run.repo);
+  } catch (e) {
+    return { error: "github_unavailable", message: e.message };
+  }
+  if (issue.state !== "open") return { error: "issue_closed", message: `${run.repo}#${run.issue_number} is closed` };
+  const { config, errors } = await loadRepoConfig(env, run.installation_id, run.repo);
+  if (errors.length) return { error: "invalid_config", message: `${REPO_CONFIG_PATH} is invalid`, errors };
+
+  if (operator && ["queued", "processing"].includes(run.status)) await cancelRun(env, run.id, { operator: true });
+  const { run: next, install, limitReached, privateRepo } = await startRun(env, run.installation_id, run.repo, run.issue_number, { isPrivate: repository.private });
+  if (next?.existing) return { error: "run_active", run_id: next.id, message: `Run #${next.id} for this issue is still ${next.status}` };
+  if (privateRepo) return { error: "private_repo_requires_pro", message: `${run.repo} is private and the ${install.plan} plan only covers public repositories` };
+  if (limitReached) return { error: "limit_reached", message: `${install.account_login} has used all ${install.pr_limit} fix PRs for ${currentMonth()}` };
+
+  await recordRunEvent(env, next.id, "redriven", operator ? { from_run: run.id, operator: true } : { from_run: run.id, by });
+  const forwarded = await forwardToBackend(env, {
+    run_id: next.id, installation_id: run.installation_id, plan: install.plan, repo: run.repo,
+    issue_number: run.issue_number, issue_title: issue.title, issue_body: issue.body, config,
+  });
+  if (!forwarded) return { error: "backend_unavailable", run_id: next.id, message: "The fix queue is unavailable" };
+  await postRunStatus(env, next.id, "queued", operator ? {} : { by });
+  return { status: "queued", run_id: next.id, from_run: run.id };
+}
+
+// Returns whether the backend took the task. A run it refused is failed right away, so its quota
+// slot is released and it does not hold the issue as an active run.
+async function forwardToBackend(env, task) {
+  if (await backendRequest(env, "/autofix", task)) return true;
+  await failRun(env, task.run_id, "The fix queue is unavailable. Comment `/fix retry` to try again");
+  return false;
+}
+
+// Returns whether the backend answered with a 2xx
+async function backendRequest(env, path, body) {
+  try {
+    const res = await backendFetch(env, path, { method: "POST", body: JSON.stringify(body) });
+    if (!res.ok) console.log(`backend ${path} returned HTTP ${res.status}`);
+    return res.ok;
+  } catch (e) {
+    console.log(`backend ${path} failed: ${e.message}`);
+    return false;
+  }
+}
+
+// BACKEND_URL is the backend's /autofix endpoint; the other endpoints sit next to it, under any path prefix
+function backendFetch(env, path, init = {}) {
+  const url = new URL(path.replace(/^\//, ""), env.BACKEND_URL || "https://autofix.14530529.xyz/autofix");
+  return fetch(url, { ...init, headers: { "Content-Type": "application/json", Authorization: `Bearer ${env.BACKEND_TOKEN}` } });
+}
+
+// Terminal statuses the consumer may report for a run
+// "blocked" means the diff broke the policy and waits for `/fix approve`
+const CALLBACK_STATUSES = ["success", "needs_info", "no_fix", "failed", "blocked"];
+
+async function handleCallback(request, env) {
+  const auth = request.headers.get("Authorization");
+  if (auth !== `Bearer ${env.BACKEND_TOKEN}`) return new Response("Unauthorized", { status: 401 });
+  const data = await request.json();
+  if (!CALLBACK_STATUSES.includes(data.status)) return json({ error: "invalid_status", allowed: CALLBACK_STATUSES }, 400);
+  if (data.status === "success" && !data.pr_number) return json({ error: "pr_number_required" }, 400);
+  const result = data.run_id
+    ? await env.DB.prepare(
+      "UPDATE fix_runs SET status=?,pr_number=?,error_message=?,completed_at=datetime('now') WHERE id=? AND status IN('queued','processing')"
+    ).bind(data.status, data.pr_number || null, data.error_message || null, data.run_id).run()
+    : await env.DB.prepare(
+      "UPDATE fix_runs SET status=?,pr_number=?,error_message=?,completed_at=datetime('now') WHERE installation_id=? AND repo=? AND issue_number=? AND status IN('queued','processing')"
+    ).bind(data.status, data.pr_number || null, data.error_message || null, data.installation_id, data.repo, data.issue_number).run();
+  if (!result.meta.changes) return json({ status: "ignored", reason: "no_active_run" });
+  if (data.run_id) {
+    await recordRunEvent(env, data.run_id, "finished", { status: data.status, pr_number: data.pr_number || null, error: data.error_message || null });
+    if (isPlainObject(data.artifacts)) await saveRunArtifacts(env, data.run_id, data.artifacts);
+    await settleRunQuota(env, data.run_id, data.status === "success");
+    // The consumer's error text can carry paths and command output; the issue only gets the outcome
+    await postRunStatus(env, data.run_id, data.status, data.status === "failed" ? {} : {
+      reason: data.error_message, violations: data.violations, files: data.files, diff: data.diff,
+      regressions: Array.isArray(data.verification) ? data.verification.filter(v => v?.regression).map(v => ({ command: v.command })) : [],
+    });
+    if (data.status === "success") {
+      await env.DB.prepare("UPDATE fix_runs SET pr_state='open',pr_opened_at=datetime('now') WHERE id=? AND kind='fix'").bind(data.run_id).run();
+      await publishCheckRun(env, data.run_id, data);
+    }
+  } else if (data.status === "success") {
+    // Tasks queued before run ids existed never reserved a slot
+    await env.DB.prepare("INSERT INTO usage_monthly(installation_id,month,pr_count) VALUES(?,?,1) ON CONFLICT(installation_id,month) DO UPDATE SET pr_count=pr_count+1").bind(data.installation_id, currentMonth()).run();
+  }
+  return json({ status: "updated" });
+}
+
+// ─── Slash commands (issue comments) ───
+
+const SUBCOMMANDS = ["retry", "status", "help", "cancel", "approve", "revise"];
+
+const COMMAND_USAGE = `**frost-autofix commands**
+
+\`\`\`
+/fix                   queue a fix for this issue
+/fix hint: <text>      queue a fix with a pointer for the agent
+/fix --draft           open the PR as a draft
+/fix --base <branch>   target <branch> instead of the default branch
+/fix --reproduce       write a failing test before fixing
+/fix retry             run again after a finished or failed run
+/fix status            show the latest run for this issue
+/fix cancel            stop the queued or running fix
+/fix approve           publish a fix that was blocked by policy
+/fix revise            address the review comments on a fix PR
+/fix help              show this message
+\`\`\`
+\`/autofix\` works as an alias for \`/fix\`.`;
+
+// First /fix or /autofix line in a comment, skipping quoted replies and code blocks
+function parseCommand(text) {
+  if (!text) return null;
+  let inFence = false;
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (line.startsWith("```") || line.startsWith("~~~")) { inFence = !inFence; continue; }
+    if (inFence || line.startsWith(">")) continue;
+    const m = line.match(/^\/(?:fix|autofix)(?=\s|$)(.*)$/i);
+    if (m) return parseCommandArgs(m[1].trim());
+  }
+  return null;
+}
+
+function parseCommandArgs(args) {
+  const command = { name: "run", draft: false, base: null, reproduce: false, hint: null, error: null };
+  const fail = error => ({ ...command, error });
+
+  const hint = args.match(/(?:^|\s)hint:(.*)$/i);
+  if (hint) {
+    command.hint = hint[1].trim().slice(0, 1000);
+    if (!command.hint) return fail("`hint:` needs some text after it");
+    args = args.slice(0, hint.index).trim();
+  }
+
+  const tokens = args.split(/\s+/).filter(Boolean);
+  if (tokens.length && !tokens[0].startsWith("--")) {
+    const sub = tokens.shift().toLowerCase();
+    if (!SUBCOMMANDS.includes(sub)) return fail(`unknown subcommand \`${sub}\``);
+    command.name = sub;
+  }
+  while (tokens.length) {
+    const token = tokens.shift();
+    if (token === "--draft") {
+      command.draft = true;
+    } else if (token === "--reproduce") {
+      command.reproduce = true;
+    } else if (token === "--base" || token.startsWith("--base=")) {
+      const branch = token === "--base" ? tokens.shift() : token.slice(7);
+      if (!branch || !GIT_REF_PATTERN.test(branch)) return fail("`--base` needs a valid branch name");
+      command.base = branch;
+    } else {
+      return fail(`unexpected \`${token}\``);
+    }
+  }
+
+  if ((command.draft || command.base || command.reproduce || command.hint) && !["run", "retry"].includes(command.name)) {
+    return fail(`\`${command.name}\` does not take options`);
+  }
+  return command;
+}
+
+async function handleCommand(payload, env, command) {
+  if (!payload.installation?.id) return json({ status: "skipped", reason: "no_installation" });
+  if (command.error) {
+    await replyToIssue(env, payload, `Sorry, I couldn't understand that command: ${command.error}.\n\n${COMMAND_USAGE}`);
+    return json({ status: "invalid_command", error: command.error });
+  }
+  if (command.name === "help") {
+    await replyToIssue(env, payload, COMMAND_USAGE);
+    return json({ status: "ok", command: "help" });
+  }
+  if (command.name === "status") return handleStatusCommand(payload, env);
+  // On a fix PR's conversation tab; checks permissions itself
+  if (command.name === "revise") {
+    if (!payload.issue.pull_request) {
+      await replyToIssue(env, payload, "`/fix revise` works on pull requests opened by frost-autofix, in a review or a comment on the PR.");
+      return json({ status: "ignored", reason: "not_pull_request" });
+    }
+    return handleRevision(payload, env, { author: payload.comment, explicit: true, reviewId: null, body: payload.comment.body });
+  }
+
+  // Everything below spends quota or stops someone else's run
+  const { config, errors } = await loadRepoConfig(env, payload.installation.id, payload.repository.full_name);
+  // Approving has its own, usually stricter, role requirement
+  if (command.name === "approve") return handleApproveCommand(payload, env, config);
+  const denial = await checkTriggerPermission(env, payload, config.permissions);
+  if (denial) {
+    const login = payload.comment.user.login;
+    await recordAudit(env, {
+      installationId: payload.installation.id, actor: login, action: "command_denied",
+      target: `${payload.repository.full_name}#${payload.issue.number}`, detail: { command: command.name, ...denial },
+    });
+    await replyToIssue(env, payload, denial.reason === "permission_unavailable"
+      ? `Sorry @${login}, I couldn't check your access to this repository right now. Please try again in a few minutes.`
+      : `Thanks @${login}! On this repository, \`/fix\` can only be used by ${describeRequirement(config.permissions)}. A maintainer can comment \`/fix\` to start a run.`);
+    return json({ status: "denied", reason: denial.reason });
+  }
+
+  if (command.name === "cancel") return handleCancelCommand(payload, env);
+  return handleFixCommand(payload, env, command, config, errors);
+}
+
+async function handleFixCommand(payload, env, command, config, errors) {
+  const issue = payload.issue;
+  const repo = payload.repository.full_name;
+  const installId = payload.installation.id;
+
+  if (errors.length) {
+    await replyToIssue(env, payload, invalidConfigMessage(errors));
+    return json({ status: "skipped", reason: "invalid_config", errors });
+  }
+
+  await ensureInstallation(payload, env);
+
+  const { run, install, limitReached, privateRepo } = await startRun(env, installId, repo, issue.number, { isPrivate: payload.repository.private });
+  if (run?.existing) {
+    await replyToIssue(env, payload, `A fix for this issue is already ${run.status === "processing" ? "in progress" : "queued"} (run #${run.id}). Comment \`/fix cancel\` to stop it.`);
+    return json({ status: "already_queued", run_id: run.id, run_status: run.status });
+  }
+  if (privateRepo) {
+    await replyToIssue(env, payload, privateRepoMessage(install));
+    return json({ status: "skipped", reason: "private_repo" });
+  }
+  if (limitReached) {
+    await replyToIssue(env, payload, limitReachedMessage(install));
+    return json({ status: "skipped", reason: "limit_reached" });
+  }
+  const forwarded = await forwardToBackend(env, {
+    run_id: run.id, installation_id: installId, plan: install.plan, repo,
+    issue_number: issue.number, issue_title: issue.title, issue_body: issue.body, config,
+    command: { hint: command.hint, draft: command.draft, base: command.base, reproduce: command.reproduce },
+  });
+  if (!forwarded) return json({ status: "failed", reason: "backend_unavailable", run_id: run.id });
+
+  const notes = [];
+  if (command.hint) notes.push("with your hint");
+  if (command.draft) notes.push("as a draft PR");
+  if (command.base) notes.push(`against \`${command.base}\``);
+  if (command.reproduce || config.reproduce) notes.push("in reproduce-first mode");
+  await postRunStatus(env, run.id, "queued", { notes, by: payload.comment.user.login });
+  return json({ status: "queued", run_id: run.id });
+}
+
+async function handleStatusCommand(payload, env) {
+  const run = await env.DB.prepare(
+    "SELECT * FROM fix_runs WHERE installation_id=? AND repo=? AND issue_number=? ORDER BY id DESC LIMIT 1"
+  ).bind(payload.installation.id, payload.repository.full_name, payload.issue.number).first();
+  if (!run) {
+    await replyToIssue(env, payload, "No fix has been run for this issue yet. Comment `/fix` to start one.");
+    return json({ status: "ok", command: "status", run: null });
+  }
+
+  const timeline = (await loadTimelines(env, [run.id])).get(run.id);
+  const lines = [`**Run #${run.id}**: \`${run.status}\``];
+  if (run.pr_number) lines.push(`PR: #${run.pr_number}`);
+  if (run.status === "failed") lines.push(`Reason: ${FAILED_PUBLIC_REASON}`);
+  else if (run.error_message) lines.push(`Reason: ${run.error_message}`);
+  if (timeline.length) lines.push("", ...timeline.map(ev => `- ${ev.at} UTC — ${ev.stage}`));
+  await replyToIssue(env, payload, lines.join("\n"));
+  return json({ status: "ok", command: "status", run_id: run.id });
+}
+
+async function handleCancelCommand(payload, env) {
+  const installId = payload.installation.id;
+  const repo = payload.repository.full_name;
+  const run = await findActiveRun(env, installId, repo, payload.issue.number);
+  if (!run) {
+    await replyToIssue(env, payload, "There is no queued or running fix for this issue to cancel.");
+    return json({ status: "ignored", reason: "no_active_run" });
+  }
+
+  if (!(await cancelRun(env, run.id, { by: payload.comment?.user?.login || null }))) return json({ status: "ignored", reason: "no_active_run" });
+  return json({ status: "cancelled", run_id: run.id });
+}
+
+function invalidConfigMessage(errors) {
+  return `I can't start a fix because \`${REPO_CONFIG_PATH}\` is invalid:\n\n${errors.map(e => `- ${e}`).join("\n")}`;
+}
+
+// Returns false when the run had already finished. Operators are named in audit_log, not on the
+// issue or in the run's timeline.
+async function cancelRun(env, runId, { by = null, operator = false }) {
+  const res = await env.DB.prepare("UPDATE fix_runs SET status='cancelled',completed_at=datetime('now') WHERE id=? AND status IN('queued','processing')").bind(runId).run();
+  if (!res.meta.changes) return false;
+  await settleRunQuota(env, runId, false);
+  await recordRunEvent(env, runId, "cancelled", operator ? { operator: true } : { by });
+  // Removes a queued task, or signals the consumer to kill the running agent
+  await backendRequest(env, "/cancel", { run_id: runId });
+  await postRunStatus(env, runId, "cancelled", { by: operator ? null : by });
+  return true;
+}
+
+// A blocked diff is published only when someone with approve_role signs off on it
+async function handleApproveCommand(payload, env, config) {
+  const installId = payload.installation.id;
+  const repo = payload.repository.full_name;
+  const login = payload.comment.user.login;
+  const approvers = { min_role: config.permissions.approve_role, teams: [] };
+  const denial = await checkTriggerPermission(env, payload, approvers);
+  if (denial) {
+    await recordAudit(env, {
+      installationId: installId, actor: login, action: "command_denied",
+      target: `${repo}#${payload.issue.number}`, detail: { command: "approve", ...denial },
+    });
+    await replyToIssue(env, payload, `Sorry @${login}, blocked fixes can only be approved by ${describeRequirement(approvers)}.`);
+    return json({ status: "denied", reason: denial.reason });
+  }
+
+  const run = await env.DB.prepare(
+    "SELECT * FROM fix_runs WHERE installation_id=? AND repo=? AND issue_number=? ORDER BY id DESC LIMIT 1"
+  ).bind(installId, repo, payload.issue.number).first();
+  if (run?.status !== "blocked") {
+    await replyToIssue(env, payload, "There is no blocked fix for this issue to approve.");
+    return json({ status: "ignored", reason: "no_blocked_run" });
+  }
+
+  const install = await env.DB.prepare("SELECT * FROM installations WHERE github_installation_id=?").bind(installId).first();
+  const month = await reserveQuota(env, install);
+  if (!month) {
+    await replyToIssue(env, payload, limitReachedMessage(install));
+    return json({ status: "skipped", reason: "limit_reached" });
+  }
+  const res = await env.DB.prepare(
+    "UPDATE fix_runs SET status='queued',error_message=NULL,completed_at=NULL,quota_month=?,quota_state='reserved' WHERE id=? AND status='blocked'"
+  ).bind(month, run.id).run();
+  if (!res.meta.changes) {
+    await releaseQuota(env, installId, month);
+    return json({ status: "ignored", reason: "no_blocked_run" });
+  }
+  // The token for the publishing run asks for workflow write access only when the held diff needs it
+  const { violations = [] } = JSON.parse(run.status_detail || "{}");
+  const workflows = violations.some(v => typeof v?.file === "string" && v.file.startsWith(".github/workflows/"));
+  await recordRunEvent(env, run.id, "approved", { by: login, workflows });
+  await recordAudit(env, { installationId: installId, actor: login, action: "policy_approved", target: `${repo}#${payload.issue.number}`, detail: { run_id: run.id } });
+  await backendRequest(env, "/approve", { run_id: run.id, approved_by: login });
+  await postRunStatus(env, run.id, "queued", { notes: ["approved"], by: login });
+  return json({ status: "approved", run_id: run.id });
+}
+
+async function replyToIssue(env, payload, body) {
+  try {
+    await commentOnIssue(installationOctokit(env, payload.installation.id), payload.repository.full_name, payload.issue.number, body);
+  } catch (e) {
+    console.log(`reply failed for ${payload.repository.full_name}#${payload.issue.number}: ${e.message}`);
+  }
+}
+
+// ─── PR reviews ───
+// Review feedback on a fix PR queues a revision: a follow-up run, linked to the run that opened the
+// PR, that pushes more commits to the same branch. A "changes requested" review triggers it, as does
+// `/fix revise` in a review, a review comment or the PR conversation.
+
+const MAX_REVIEW_COMMENTS = 30;
+
+async function handlePullRequestReview(payload, env) {
+  const review = payload.review;
+  const explicit = parseCommand(review.body)?.name === "revise";
+  if (review.state !== "changes_requested" && !explicit) return json({ status: "ignored", reason: "no_revision_requested" });
+  return handleRevision(payload, env, { author: review, explicit, reviewId: review.id, body: review.body });
+}
+
+async function handlePullRequestReviewComment(payload, env) {
+  const comment = payload.comment;
+  if (parseCommand(comment.body)?.name !== "revise") return json({ status: "ignored", reason: "no_revision_requested" });
+  return handleRevision(payload, env, { author: comment, explicit: true, reviewId: comment.pull_request_review_id, body: null });
+}
+
+// author is the review or comment that asked for the revision; only an explicit `/fix revise` gets replies
+async function handleRevision(payload, env, { author, explicit, reviewId, body }) {
+  const installId = payload.installation?.id;
+  if (!installId) return json({ status: "skipped", reason: "no_installation" });
+  const repo = payload.repository.full_name;
+  const prNumber = payload.pull_request?.number ?? payload.issue.number;
+  const login = author.user.login;
+  const reply = async text => {
+    if (!explicit) return;
+    try {
+      await commentOnIssue(installationOctokit(env, installId), repo, prNumber, text);
+    } catch (e) {
+      console.log(`reply failed for ${repo}#${prNumber}: ${e.message}`);
+    }
+  };
+
+  const parent = await env.DB.prepare(
+    "SELECT * FROM fix_runs WHERE installation_id=? AND repo=? AND pr_number=? ORDER BY id DESC LIMIT 1"
+  ).bind(installId, repo, prNumber).first();
+  if (!parent) {
+    await reply("`/fix revise` only works on pull requests opened by frost-autofix.");
+    return json({ status: "ignored", reason: "not_fix_pr" });
+  }
+
+  const { config, errors } = await loadRepoConfig(env, installId, repo);
+  if (errors.length) {
+    await reply(`I can't revise this fix because \`${REPO_CONFIG_PATH}\` is invalid:\n\n${errors.map(e => `- ${e}`).join("\n")}`);
+    return json({ status: "skipped", reason: "invalid_config", errors });
+  }
+  const denial = await checkTriggerPermission(env, payload, config.permissions, author);
+  if (denial) {
+    await recordAudit(env, {
+      installationId: installId, actor: login, action: "command_denied",
+      target: `${repo}#${prNumber}`, detail: { command: "revise", ...denial },
+    });
+    await reply(`Sorry @${login}, revisions can only be requested by ${describeRequirement(config.permissions)}.`);
+    return json({ status: "denied", reason: denial.reason });
+  }
+
+  let octokit, pr;
+  let comments = [];
+  try {
+    octokit = installationOctokit(env, installId);
+    pr = await getPullRequest(octokit, repo, prNumber);
+    comments = reviewId
+      ? await listReviewComments(octokit, repo, prNumber, reviewId)
+      : await recentReviewComments(env, payload, octokit, { repo, prNumber, permissions: config.permissions });
+  } catch (e) {
+    console.log(`review lookup failed for ${repo}#${prNumber}: ${e.message}`);
+    return json({ status: "skipped", reason: "github_error" });
+  }
+  if (pr.state !== "open") {
+    await reply("This pull request is closed, so there is nothing to revise.");
+    return json({ status: "ignored", reason: "pr_closed" });
+  }
+  const review = {
+    reviewer: login,
+    state: payload.review?.state || "commented",
+    body: withoutCommands(body).slice(0, 4000),
+    comments: comments.slice(0, MAX_REVIEW_COMMENTS)
+      .map(c => ({
+        author: c.user?.login || null, path: c.path, line: c.line ?? c.original_line ?? null,
+        body: withoutCommands(c.body).slice(0, 2000), diff_hunk: (c.diff_hunk || "").slice(-1500),
+      }))
+      .filter(c => c.body),
+  };
+  if (!review.body && !review.comments.length) {
+    await reply("There is no feedback to act on yet. Leave review comments describing the changes you want, then comment `/fix revise`.");
+    return json({ status: "ignored", reason: "no_feedback" });
+  }
+
+  await ensureInstallation(payload, env);
+  const install = await env.DB.prepare("SELECT * FROM installations WHERE github_installation_id=?").bind(installId).first();
+  const run = await createRun(env, installId, repo, parent.issue_number, null, { kind: "revise", parentRunId: parent.id, prNumber });
+  if (run.existing) {
+    await reply(`A run for issue #${parent.issue_number} is already ${run.status === "processing" ? "in progress" : "queued"} (run #${run.id}). Request the revision again once it has finished.`);
+    return json({ status: "already_queued", run_id: run.id, run_status: run.status });
+  }
+  const issue = await getIssue(octokit, repo, parent.issue_number).catch(() => null);
+  const forwarded = await forwardToBackend(env, {
+    run_id: run.id, installation_id: installId, plan: install.plan, repo,
+    issue_number: parent.issue_number, issue_title: issue?.title || pr.title, issue_body: issue?.body || "", config,
+    kind: "revise", parent_run_id: parent.id, pr_number: prNumber, branch: pr.head.ref, review,
+  });
+  if (!forwarded) return json({ status: "failed", reason: "backend_unavailable", run_id: run.id });
+  await postRunStatus(env, run.id, "queued", { notes: [`revising #${prNumber}`], by: login });
+  return json({ status: "queued", run_id: run.id, kind: "revise" });
+}
+
+// `/fix revise` in the PR conversation belongs to no review, so it picks up the inline comments left
+// since the PR's last revision (or since it was opened) by people who may request one themselves
+async function recentReviewComments(env, payload, octokit, { repo, prNumber, permissions }) {
+  const last = await env.DB.prepare(
+    "SELECT created_at FROM fix_runs WHERE kind='revise' AND parent_run_id IN (SELECT id FROM fix_runs WHERE installation_id=? AND repo=? AND pr_number=?) ORDER BY id DESC LIMIT 1"
+  ).bind(payload.installation.id, repo, prNumber).first();
+  const since = last ? `${last.created_at.replace(" ", "T")}Z` : null;
+  const comments = (await listPullReviewComments(octokit, repo, prNumber, since))
+    .filter(c => !isBot(c.user) && (!since || c.created_at > since));
+
+  const allowed = new Map([[payload.comment.user.login, true]]);
+  const kept = [];
+  for (const c of comments) {
+    if (!allowed.has(c.user.login)) allowed.set(c.user.login, !(await checkTriggerPermission(env, payload, permissions, c)));
+    if (allowed.get(c.user.login)) kept.push(c);
+  }
+  return kept;
+}
+
+// Feedback text without the `/fix` lines that asked for it
+function withoutCommands(text) {
+  return (text || "").split(/\r?\n/).filter(l => !/^\s*\/(?:fix|autofix)(?=\s|$)/i.test(l)).join("\n").trim();
+}
+
+// ─── CI repair ───
+// A failed CI run on a fix PR's current head queues a repair: a follow-up run that gets the failing
+// jobs' logs and pushes a commit to the same branch. Each PR gets ci_repair.max_attempts repairs
+// after its last fix or revision; when CI fails after that, the PR gets one summary comment.
+
+const CI_FAILURES = ["failure", "timed_out"];
+const MAX_CI_FAILURES = 3;
+const CI_LOG_TAIL = 6000;
+
+async function handleCiCompleted(payload, env, ci) {
+  if (!CI_FAILURES.includes(ci.conclusion)) return json({ status: "ignored", reason: "ci_not_failed" });
+  const installId = payload.installation?.id;
+  if (!installId) return json({ status: "skipped", reason: "no_installation" });
+  const repo = payload.repository.full_name;
+  const numbers = ci.pull_requests.map(p => p.number);
+  if (!numbers.length) return json({ status: "ignored", reason: "no_pull_request" });
+
+  const parent = await env.DB.prepare(
+    `SELECT * FROM fix_runs WHERE installation_id=? AND repo=? AND pr_number IN (${numbers.map(() => "?").join(",")}) ORDER BY id DESC LIMIT 1`
+  ).bind(installId, repo, ...numbers).first();
+  if (!parent) return json({ status: "ignored", reason: "not_fix_pr" });
+  const pr = ci.pull_requests.find(p => p.number === parent.pr_number);
+  // A newer push has its own CI run coming
+  if (pr.head?.sha && pr.head.sha !== ci.head_sha) return json({ status: "ignored", reason: "stale_head" });
+
+  const seen = await env.DB.prepare(
+    "SELECT id FROM fix_runs WHERE installation_id=? AND repo=? AND pr_number=? AND kind='ci_repair' AND head_sha=?"
+  ).bind(installId, repo, pr.number, ci.head_sha).first();
+  if (seen) return json({ status: "ignored", reason: "already_repairing", run_id: seen.id });
+
+  const { config, errors } = await loadRepoConfig(env, installId, repo);
+  if (errors.length) return json({ status: "skipped", reason: "invalid_config", errors });
+  const max = config.ci_repair.max_attempts;
+  if (max === 0) return json({ status: "ignored", reason: "ci_repair_disabled" });
+  const attempts = (await env.DB.prepare(
+    "SELECT id,status FROM fix_runs WHERE installation_id=? AND repo=? AND pr_number=? AND kind='ci_repair' AND id>(SELECT COALESCE(MAX(id),0) FROM fix_runs WHERE installation_id=? AND repo=? AND pr_number=? AND kind!='ci_repair') ORDER BY id"
+  ).bind(installId, repo, pr.number, installId, repo, pr.number).all()).results || [];
+  if (attempts.length >= max) return giveUpCiRepair(env, installId, repo, pr.number, ci, attempts);
+
+  let octokit, failures;
+  try {
+    octokit = installationOctokit(env, installId);
+    failures = await collectCiFailures(octokit, repo, ci);
+  } catch (e) {
+    console.log(`CI lookup failed for ${repo}#${pr.number}: ${e.message}`);
+    return json({ status: "skipped", reason: "github_error" });
+  }
+  if (!failures.length) return json({ status: "ignored", reason: "no_failed_jobs" });
+
+  await ensureInstallation(payload, env);
+  const install = await env.DB.prepare("SELECT * FROM installations WHERE github_installation_id=?").bind(installId).first();
+  const run = await createRun(env, installId, repo, parent.issue_number, null, { kind: "ci_repair", parentRunId: parent.id, prNumber: pr.number, headSha: ci.head_sha });
+  if (run.existing) return json({ status: "already_queued", run_id: run.id, run_status: run.status });
+  const issue = await getIssue(octokit, repo, parent.issue_number).catch(() => null);
+  const forwarded = await forwardToBackend(env, {
+    run_id: run.id, installation_id: installId, plan: install.plan, repo,
+    issue_number: parent.issue_number, issue_title: issue?.title || `issue #${parent.issue_number}`, issue_body: issue?.body || "", config,
+    kind: "ci_repair", parent_run_id: parent.id, pr_number: pr.number, branch: pr.head?.ref || null,
+    ci: { source: ci.source, name: ci.name, url: ci.url, head_sha: ci.head_sha, attempt: attempts.length + 1, max_attempts: max, failures },
+  });
+  if (!forwarded) return json({ status: "failed", reason: "backend_unavailable", run_id: run.id });
+  await postRunStatus(env, run.id, "queued", { notes: [`repairing CI on #${pr.number}, attempt ${attempts.length + 1} of ${max}`] });
+  return json({ status: "queued", run_id: run.id, kind: "ci_repair" });
+}
+
+// [{ name, url, log }] for the failed jobs (workflow_run) or check runs (check_suite)
+async function collectCiFailures(octokit, repo, ci) {
+  if (ci.source === "workflow_run") {
+    const jobs = (await listWorkflowJobs(octokit, repo, ci.id)).filter(j => CI_FAILURES.includes(j.conclusion)).slice(0, MAX_CI_FAILURES);
+    const failures = [];
+    for (const job of jobs) {
+      const steps = (job.steps || []).filter(s => CI_FAILURES.includes(s.conclusion)).map(s => s.name);
+      const log = await getJobLog(octokit, repo, job.id).catch(e => `(log unavailable: ${e.message})`);
+      failures.push({ name: job.name, url: job.html_url, steps, log: cleanCiLog(log) });
+    }
+    return failures;
+  }
+  const runs = (await listSuiteCheckRuns(octokit, repo, ci.id)).filter(r => CI_FAILURES.includes(r.conclusion)).slice(0, MAX_CI_FAILURES);
+  return runs.map(r => ({
+    name: r.name, url: r.html_url || r.details_url, steps: [],
+    log: cleanCiLog([r.output?.title, r.output?.summary, r.output?.text].filter(Boolean).join("\n\n")),
+  }));
+}
+
+// Errors are usually at the end; timestamps and colour codes only cost prompt space
+function cleanCiLog(text) {
+  const clean = text
+    .replace(/\u001b\[[0-9;]*[A-Za-z]/g, "")
+    .replace(/^\d{4}-\d{2}-\d{2}T[\d:.]+Z /gm, "");
+  return clean.length > CI_LOG_TAIL ? clean.slice(-CI_LOG_TAIL) : clean;
+}
+
+// Out of attempts: say so once on the PR and leave it to the maintainers
+async function giveUpCiRepair(env, installId, repo, prNumber, ci, attempts) {
+  const last = attempts[attempts.length - 1];
+  const told = await env.DB.prepare("SELECT 1 FROM fix_run_events WHERE run_id=? AND stage='ci_gave_up'").bind(last.id).first();
+  if (told) return json({ status: "ignored", reason: "ci_repair_exhausted" });
+  await recordRunEvent(env, last.id, "ci_gave_up", { head_sha: ci.head_sha, check: ci.name });
+  const body = [
+    `❌ **CI is still failing** (${ci.url ? `[${ci.name}](${ci.url})` : ci.name}) after ${attempts.length} automatic repair attempt${attempts.length === 1 ? "" : "s"}, so I've stopped here.`,
+    "",
+    ...attempts.map(a => `- Run #${a.id}: \`${a.status}\``),
+    "",
+    "Comment `/fix revise` with guidance to try again, or push a fix yourself.",
+  ].join("\n");
+  try {
+    await commentOnIssue(installationOctokit(env, installId), repo, prNumber, body);
+  } catch (e) {
+    console.log(`CI summary failed for ${repo}#${prNumber}: ${e.message}`);
+  }
+  return json({ status: "stopped", reason: "ci_repair_exhausted", attempts: attempts.length });
+}
+
+// ─── PR outcomes ───
+// The fix run that opened a PR records what became of it. A PR still open after
+// STALE_PR_DAYS counts as stale, and stale or closed PRs count against the merge rate.
+
+const STALE_PR_DAYS = 30;
+
+async function handlePullRequestOutcome(payload, env) {
+  const pr = payload.pull_request;
+  const installId = payload.installation?.id;
+  const repo = payload.repository.full_name;
+  // A /fix retry on an open PR reuses it, so the latest fix run owns the outcome
+  const run = await env.DB.prepare(
+    "SELECT id FROM fix_runs WHERE installation_id=? AND repo=? AND pr_number=? AND kind='fix' AND status='success' ORDER BY id DESC LIMIT 1"
+  ).bind(installId, repo, pr.number).first();
+  if (!run) return json({ status: "ignored", reason: "not_a_fix_pr" });
+
+  if (payload.action === "reopened") {
+    await env.DB.prepare("UPDATE fix_runs SET pr_state='open',pr_closed_at=NULL,pr_merged_at=NULL WHERE id=?").bind(run.id).run();
+    await recordRunEvent(env, run.id, "pr_reopened", { by: payload.sender?.login || null });
+    return json({ status: "recorded", pr_state: "open" });
+  }
+
+  // Every successful run on the PR pushed exactly one commit, everything else came from people
+  const ours = await env.DB.prepare(
+    "SELECT COUNT(*) as c FROM fix_runs WHERE installation_id=? AND repo=? AND pr_number=? AND id>? AND kind!='fix' AND status='success'"
+  ).bind(installId, repo, pr.number, run.id).first();
+  const humanCommits = Number.isInteger(pr.commits) ? Math.max(0, pr.commits - 1 - ours.c) : null;
+  const state = pr.merged ? "merged" : "closed";
+  await env.DB.prepare(
+    "UPDATE fix_runs SET pr_state=?,pr_opened_at=COALESCE(?,pr_opened_at),pr_closed_at=?,pr_merged_at=?,human_commits=? WHERE id=?"
+  ).bind(state, dbTime(pr.created_at), dbTime(pr.closed_at) || nowDbTime(), pr.merged ? dbTime(pr.merged_at) || nowDbTime() : null, humanCommits, run.id).run();
+  await recordRunEvent(env, run.id, `pr_${state}`, { by: payload.sender?.login || null, human_commits: humanCommits });
+  return json({ status: "recorded", pr_state: state, human_commits: humanCommits });
+}
+
+// Merge rate, median time-to-merge and PR counts by outcome, one row per PR
+async function prOutcomes(env, where = "1=1", binds = []) {
+  const rows = await env.DB.prepare(
+    `SELECT pr_state,pr_opened_at,pr_merged_at FROM fix_runs WHERE id IN (SELECT MAX(id) FROM fix_runs WHERE kind='fix' AND pr_state IS NOT NULL AND ${where} GROUP BY installation_id,repo,pr_number)`
+  ).bind(...binds).all();
+  const staleBefore = Date.now() - STALE_PR_DAYS * 86400000;
+  const counts = { open: 0, stale: 0, merged: 0, closed: 0 };
+  const hours = [];
+  for (const r of rows.results || []) {
+    if (r.pr_state === "open" && r.pr_opened_at && parseDbTime(r.pr_opened_at) < staleBefore) counts.stale++;
+    else if (r.pr_state in counts) counts[r.pr_state]++;
+    if (r.pr_state === "merged" && r.pr_opened_at && r.pr_merged_at) hours.push((parseDbTime(r.pr_merged_at) - parseDbTime(r.pr_opened_at)) / 3600000);
+  }
+  const decided = counts.merged + counts.closed + counts.stale;
+  return {
+    merge_rate: decided ? Math.round((counts.merged / decided) * 100) : null,
+    median_time_to_merge_hours: hours.length ? Math.round(median(hours) * 10) / 10 : null,
+    pull_requests: counts,
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// ─── Backfill ───
+// With backfill.enabled, open issues that already carry a trigger label when the app gains access
+// to a repo are recorded in backfill_issues. The cron queues the oldest one of each installation
+// that has no run in flight, so backfilled runs go one at a time, and stops at the monthly quota.
+
+const BACKFILL_MAX_REPOS = 10; // repos scanned per webhook
+const BACKFILL_MAX_PAGES = 5;  // pages of 100 open issues scanned per repo, oldest first
+const BACKFILL_PER_TICK = 10;  // installations served per cron tick
+
+// Record the candidates of newly accessible repos; returns [{ repo, found, scheduled, reason? }]
+async function scheduleBackfill(env, payload, repositories) {
+  const installId = payload.installation.id;
+  const install = await env.DB.prepare("SELECT * FROM installations WHERE github_installation_id=?").bind(installId).first();
+  const summary = [];
+  for (const repository of repositories.slice(0, BACKFILL_MAX_REPOS)) {
+    const repo = repository.full_name;
+    const { config, errors } = await loadRepoConfig(env, installId, repo);
+    if (errors.length || !config.backfill.enabled) continue;
+    if (!planCoversRepo(install, repository.private)) {
+      summary.push({ repo, found: 0, scheduled: 0, reason: "private_repo" });
+      continue;
+    }
+    let issues;
+    try {
+      issues = await listOpenIssues(installationOctokit(env, installId), repo, { maxPages: BACKFILL_MAX_PAGES });
+    } catch (e) {
+      console.log(`backfill scan failed for ${repo}: ${e.message}`);
+      continue;
+    }
+    const found = issues.filter(i => hasTriggerLabel(i.labels || [], config.trigger));
+    let scheduled = 0;
+    for (const issue of found) {
+      if (scheduled >= config.backfill.max_issues) break;
+      if (await hasAnyRun(env, installId, repo, issue.number)) continue;
+      const res = await env.DB.prepare("INSERT OR IGNORE INTO backfill_issues (installation_id,repo,issue_number) VALUES(?,?,?)").bind(installId, repo, issue.number).run();
+      scheduled += res.meta.changes;
+    }
+    summary.push({ repo, found: found.length, scheduled });
+    await recordAudit(env, { installationId: installId, actor: payload.sender?.login || "github", action: "backfill_scheduled", target: repo, detail: { found: found.length, scheduled } });
+  }
+  return summary;
+}
+
+async function runBackfill(env) {
+  const rows = await env.DB.prepare(
+    `SELECT b.* FROM backfill_issues b WHERE b.id IN (SELECT MIN(id) FROM backfill_issues WHERE status='pending' GROUP BY installation_id)
+     AND NOT EXISTS (SELECT 1 FROM fix_runs r WHERE r.installation_id=b.installation_id AND r.status IN('queued','processing')) LIMIT ?`
+  ).bind(BACKFILL_PER_TICK).all();
+  for (const row of rows.results || []) {
+    try {
+      await backfillIssue(env, row);
+    } catch (e) {
+      // Stays pending for the next tick
+      console.log(`backfill of ${row.repo}#${row.issue_number} failed: ${e.message}`);
+    }
+  }
+}
+
+async function backfillIssue(env, row) {
+  const mark = (status, reason = null, runId = null) => env.DB.prepare(
+    "UPDATE backfill_issues SET status=?,reason=?,run_id=?,updated_at=datetime('now') WHERE id=?"
+  ).bind(status, reason, runId, row.id).run();
+  const octokit = installationOctokit(env, row.installation_id);
+  let issue;
+  try {
+    issue = await getIssue(octokit, row.repo, row.issue_number);
+  } catch (e) {
+    if (e.status === 404 || e.status === 410) return mark("skipped", "not_found");
+    throw e;
+  }
+  if (issue.state !== "open") return mark("skipped", "closed");
+  if (await hasAnyRun(env, row.installation_id, row.repo, row.issue_number)) return mark("skipped", "already_handled");
+  const { config, errors } = await loadRepoConfig(env, row.installation_id, row.repo);
+  if (errors.length) return mark("skipped", "invalid_config");
+  if (!hasTriggerLabel(issue.labels || [], config.trigger)) return mark("skipped", "label_removed");
+
+  const repository = await getRepository(octokit, row.repo);
+  const payload = { installation: { id: row.installation_id }, repository: { full_name: row.repo, private: repository.private }, issue };
+  const result = await queueIssueRun(env, payload, config, { quiet: true });
+  if (result.status === "queued") return mark("queued", null, result.run_id);
+  if (result.reason === "limit_reached") {
+    // The rest is left to the maintainers rather than to next month's quota
+    return env.DB.prepare(
+      "UPDATE backfill_issues SET status='skipped',reason='limit_reached',updated_at=datetime('now') WHERE installation_id=? AND status='pending'"
+    ).bind(row.installation_id).run();
+  }
+  return mark("skipped", result.reason || result.status);
+}
+
+// ─── Status comments & check runs ───
+// Each run owns one issue comment that is edited in place as the run moves along. The Worker and the
+// consumer's progress events can post at the same moment, so the run row holds the latest state and
+// the comment id, and whoever writes the comment renders it from the row.
+
+const STATUS_HEADLINES = {
+  queued: "⏳ **Queued** — a fix for this issue is waiting for a worker",
+  working: "🔧 **Working** — the agent is analysing the issue and preparing a fix",
+  retrying: "🔁 **Retrying** — the last attempt failed",
+  success: "✅ **PR opened**",
+  needs_info: "❓ **Needs more information**",
+  no_fix: "🤷 **No fix found**",
+  failed: "❌ **Failed**",
+  cancelled: "🛑 **Cancelled**",
+  blocked: "🚧 **Blocked by policy**",
+  revised: "✅ **PR updated**",
+};
+
+// States "queued" must not overwrite when it arrives after the consumer already picked the run up
+const STATUS_PAST_QUEUED = ["working", "retrying", "success", "needs_info", "no_fix", "failed", "cancelled"];
+
+// Shown for failures the consumer reports; the error itself is only in the dashboard
+const FAILED_PUBLIC_REASON = "something went wrong while preparing the fix. Maintainers can find the details in the frost-autofix dashboard";
+
+// status_comment_id while the comment is being created
+const STATUS_COMMENT_PENDING = 0;
+
+function renderStatusComment(run, state, detail) {
+  let line = STATUS_HEADLINES[state === "success" && run.kind !== "fix" ? "revised" : state];
+  if (state === "queued" && detail.notes?.length) line += ` (${detail.notes.join(", ")})`;
+  if (state === "queued" && detail.by) line += `, requested by @${detail.by}`;
+  if (state === "retrying" && detail.retry_at) line += `\n\nAttempt ${detail.attempt || "?"} starts after ${detail.retry_at.slice(0, 16).replace("T", " ")} UTC.`;
+  if (state === "success") line += ` — [#${run.pr_number}](https://github.com/${run.repo}/pull/${run.pr_number})`;
+  if (state === "success" && detail.regressions?.length) {
+    line += `\n\nOpened as a draft: the fix introduces new failures in ${detail.regressions.map(v => `\`${v.command}\``).join(", ")}.`;
+  }
+  if (["needs_info", "no_fix"].includes(state) && detail.reason) line += `: ${detail.reason}`;
+  if (state === "failed") line += `: ${detail.reason || FAILED_PUBLIC_REASON}`;
+  if (state === "cancelled" && detail.by) line += ` by @${detail.by}`;
+  if (state === "blocked") {
+    const violations = Array.isArray(detail.violations) ? detail.violations : [];
+    line += violations.length
+      ? ` — the fix was not published because it:\n\n${violations.map(v => `- \`${v.file}\` ${v.detail}`).join("\n")}`
+      : `: ${detail.reason || "the fix broke the repository policy"}`;
+    const files = Array.isArray(detail.files) ? detail.files : [];
+    if (files.length) line += `\n\nChanged files:\n\n${files.map(f => `- \`${f.file}\` +${f.added} −${f.removed}`).join("\n")}`;
+    if (typeof detail.diff === "string") line += `\n\n<details><summary>Diff</summary>\n\n${codeFence(detail.diff, "diff")}\n\n</details>`;
+    else if (files.length) line += "\n\nThe diff is too large to show here.";
+    line += "\n\nA maintainer can review the change and comment `/fix approve` to open the PR anyway.";
+  }
+  return `${line}\n\n<sub>Run #${run.id} · comment \`/fix status\` for the full timeline</sub>`;
+}
+
+// Best effort: the run carries on even when GitHub rejects the comment
+async function postRunStatus(env, runId, state, detail = {}) {
+  const past = STATUS_PAST_QUEUED.map(() => "?").join(",");
+  await env.DB.prepare(
+    `UPDATE fix_runs SET status_state=?,status_detail=? WHERE id=? AND NOT (?='queued' AND COALESCE(status_state,'') IN (${past}))`
+  ).bind(state, JSON.stringify(detail), runId, state, ...STATUS_PAST_QUEUED).run();
+
+  // Only one writer creates the comment; the others leave their state in the row for it to pick up
+  const claim = await env.DB.prepare("UPDATE fix_runs SET status_comment_id=? WHERE id=? AND status_comment_id IS NULL").bind(STATUS_COMMENT_PENDING, runId).run();
+  const creating = claim.meta.changes > 0;
+  let run = await env.DB.prepare("SELECT * FROM fix_runs WHERE id=?").bind(runId).first();
+  if (!run || (!creating && run.status_comment_id === STATUS_COMMENT_PENDING)) return;
+
+  try {
+    const octokit = installationOctokit(env, run.installation_id);
+    if (creating) {
+      const comment = await commentOnIssue(octokit, run.repo, run.issue_number, renderStoredStatus(run));
+      await env.DB.prepare("UPDATE fix_runs SET status_comment_id=? WHERE id=?").bind(comment.id, runId).run();
+      run = { ...run, status_comment_id: comment.id };
+    } else {
+      await updateComment(octokit, run.repo, run.status_comment_id, renderStoredStatus(run));
+    }
+    // A state stored while this write was in flight would otherwise be lost
+    for (let i = 0; i < 3; i++) {
+      const latest = await env.DB.prepare("SELECT * FROM fix_runs WHERE id=?").bind(runId).first();
+      if (latest.status_state === run.status_state && latest.status_detail === run.status_detail && latest.pr_number === run.pr_number) break;
+      await updateComment(octokit, latest.repo, run.status_comment_id, renderStoredStatus(latest));
+      run = { ...latest, status_comment_id: run.status_comment_id };
+    }
+  } catch (e) {
+    console.log(`status comment failed for run #${runId}: ${e.message}`);
+    if (creating) await env.DB.prepare("UPDATE fix_runs SET status_comment_id=NULL WHERE id=? AND status_comment_id=?").bind(runId, STATUS_COMMENT_PENDING).run();
+  }
+}
+
+// A fence longer than any backtick run inside the text, so the text cannot close it
+function codeFence(text, lang = "") {
+  const longest = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = "`".repeat(longest + 1);
+  return `${fence}${lang}\n${text.replace(/\n$/, "")}\n${fence}`;
+}
+
+function renderStoredStatus(run) {
+  return renderStatusComment(run, run.status_state, JSON.parse(run.status_detail || "{}"));
+}
+
+// Summarizes the agent's root cause and verification steps on the PR head commit
+async function publishCheckRun(env, runId, data) {
+  const run = await env.DB.prepare("SELECT * FROM fix_runs WHERE id=?").bind(runId).first();
+  if (!run?.pr_number) return;
+  const verification = Array.isArray(data.verification) ? data.verification.filter(v => v && typeof v.command === "string") : [];
+  // Steps from the verification gate carry a baseline; a failure that was already there is not the fix's fault
+  const failed = verification.filter(v => v.result === "failed" && (v.regression || !("before" in v))).length;
+  const inconclusive = verification.filter(v => v.inconclusive).length;
+  const preexisting = verification.filter(v => v.result === "failed").length - failed - inconclusive;
+  const passed = verification.filter(v => v.result === "passed").length;
+  const conclusion = failed ? "failure" : passed ? "success" : "neutral";
+  let summary = failed
+    ? `${failed} of ${verification.length} verification steps failed.`
+    : passed ? `${passed} verification step${passed === 1 ? "" : "s"} passed.` : "The agent did not run any verification steps.";
+  if (preexisting) summary += ` ${preexisting} already failed before the fix.`;
+  if (inconclusive) summary += ` ${inconclusive} failed before and after without naming the failures, so the comparison is inconclusive.`;
+
+  const text = [`## Root cause\n\n${data.root_cause || "_Not reported by the agent._"}`];
+  if (verification.length) {
+    text.push("## Verification\n\n| Command | Before | Result |\n|---|---|---|\n" +
+      verification.map(v => `| \`${v.command.replace(/\|/g, "\\|")}\` | ${v.before || "—"} | ${v.result || "unknown"}${v.regression ? " (new failure)" : v.inconclusive ? " (inconclusive)" : ""} |`).join("\n"));
+    // The consumer redacts and trims the output; the cap here keeps several checks within the limit
+    for (const v of verification.filter(v => v.regression && v.output).slice(0, 3)) {
+      text.push(`### \`${v.command}\`\n\n${codeFence(String(v.output).slice(-3000))}`);
+    }
+  }
+  const reproduction = data.reproduction;
+  if (reproduction?.reproduced) {
+    text.push(`## Reproduction\n\nRegression test \`${reproduction.command}\` (${(reproduction.test_files || []).map(f => `\`${f}\``).join(", ")}): ` +
+      `${reproduction.red?.result} without the fix, ${reproduction.green?.result} with it.`);
+    for (const [label, r] of [["Without the fix", reproduction.red], ["With the fix", reproduction.green]]) {
+      if (r?.output) text.push(`### ${label}\n\n${codeFence(String(r.output).slice(-3000))}`);
+    }
+  } else if (reproduction) {
+    text.push(`## Reproduction\n\nNo failing test could be written before the fix: ${reproduction.reason || "unknown reason"}.`);
+  }
+  text.push(`Issue #${run.issue_number} · run #${run.id}`);
+
+  try {
+    const octokit = installationOctokit(env, run.installation_id);
+    const pr = await getPullRequest(octokit, run.repo, run.pr_number);
+    const check = await createCheckRun(octokit, run.repo, {
+      headSha: pr.head.sha,
+      name: "frost-autofix",
+      conclusion,
+      output: { title: `Fix for #${run.issue_number}`, summary, text: text.join("\n\n").slice(0, 65000) },
+    });
+    await env.DB.prepare("UPDATE fix_runs SET check_run_id=? WHERE id=?").bind(check.id, runId).run();
+  } catch (e) {
+    console.log(`check run failed for run #${runId}: ${e.message}`);
+  }
+}
+
+// ─── Quota ───
+// A run reserves a slot in usage_monthly.reserved when queued; the slot is committed into
+// pr_count when the run opens a PR and released for any other outcome.
+
+const UPGRADE_URL = "https://github.com/marketplace/frost-autofix";
+
+function currentMonth() {
+  return new Date().toISOString().slice(0, 7);
+}
+
+// Returns the reserved month, or null when the installation is at its limit (pr_limit <= 0 means unlimited)
+async function reserveQuota(env, install) {
+  const month = currentMonth();
+  const limit = install.pr_limit;
+  const installId = install.github_installation_id;
+  await env.DB.prepare("INSERT OR IGNORE INTO usage_monthly (installation_id,month) VALUES(?,?)").bind(installId, month).run();
+  const res = await env.DB.prepare(
+    "UPDATE usage_monthly SET reserved=reserved+1 WHERE installation_id=? AND month=? AND (?<=0 OR pr_count+reserved<?)"
+  ).bind(installId, month, limit, limit).run();
+  return res.meta.changes ? month : null;
+}
+
+async function releaseQuota(env, installId, month) {
+  await env.DB.prepare("UPDATE usage_monthly SET reserved=MAX(reserved-1,0) WHERE installation_id=? AND month=?").bind(installId, month).run();
+}
+
+// Commit or release a run's reservation exactly once; both statements run in one transaction
+async function settleRunQuota(env, runId, success) {
+  const usage = success ? "pr_count=pr_count+1,reserved=MAX(reserved-1,0)" : "reserved=MAX(reserved-1,0)";
+  await env.DB.batch([
+    env.DB.prepare(
+      `UPDATE usage_monthly SET ${usage} WHERE (installation_id,month) IN (SELECT installation_id,quota_month FROM fix_runs WHERE id=? AND quota_state='reserved')`
+    ).bind(runId),
+    env.DB.prepare("UPDATE fix_runs SET quota_state=? WHERE id=? AND quota_state='reserved'").bind(success ? "committed" : "released", runId),
+  ]);
+}
+
+// Private repositories are a Pro feature
+function planCoversRepo(install, isPrivate) {
+  return !isPrivate || install?.plan === "pro";
+}
+
+function privateRepoMessage(install) {
+  return `This repository is private and the ${install?.plan || "free"} plan only covers public repositories, so I won't start a fix for this issue. ` +
+    `[Upgrade to Pro](${UPGRADE_URL}) to use frost-autofix on private repositories.`;
+}
+
+function limitReachedMessage(install) {
+  if (install.plan === "suspended") return "frost-autofix is suspended for this account, so I won't start a fix for this issue.";
+  return `This installation has used all ${install.pr_limit} fix PRs included in the ${install.plan} plan for ${currentMonth()}, so I won't start a fix for this issue. ` +
+    `The limit resets at the start of next month, or you can [upgrade to Pro](${UPGRADE_URL}) for unlimited fix PRs.`;
+}
+
+// ─── Marketplace billing ───
+// marketplace_purchase events set the plan and PR limit of every installation on the purchasing
+// account. They can arrive before the app is installed, so each one goes into plan_history and
+// the latest is applied when the installation is created.
+
+const MARKETPLACE_PLANS = {
+  free: { plan: "free", pr_limit: 5 },
+  pro: { plan: "pro", pr_limit: -1 },
+};
+const MARKETPLACE_ACTIONS = ["purchased", "changed", "cancelled", "pending_change", "pending_change_cancelled"];
+
+async function handleMarketplacePurchase(payload, env) {
+  const action = payload.action;
+  if (!MARKETPLACE_ACTIONS.includes(action)) return json({ status: "ignored", action });
+  const purchase = payload.marketplace_purchase;
+  const account = purchase.account;
+  // A cancelled paid plan falls back to the free one
+  // Own keys only: a plan named "constructor" must not resolve to Object.prototype
+  const name = action === "cancelled" ? "free" : String(purchase.plan?.name).toLowerCase();
+  const tier = Object.hasOwn(MARKETPLACE_PLANS, name) ? MARKETPLACE_PLANS[name] : null;
+  if (!tier) return json({ status: "ignored", reason: "unknown_plan", plan: purchase.plan?.name });
+  const paid = action !== "cancelled";
+
+  const change = {
+    account_id: account.id, account_login: account.login, action, plan: tier.plan, pr_limit: tier.pr_limit,
+    billing_cycle: paid ? purchase.billing_cycle || null : null,
+    next_billing_date: paid ? dateOnly(purchase.next_billing_date) : null,
+    on_free_trial: paid && purchase.on_free_trial ? 1 : 0,
+    free_trial_ends_on: paid ? dateOnly(purchase.free_trial_ends_on) : null,
+    effective_date: dateOnly(payload.effective_date),
+  };
+  await env.DB.prepare(
+    "INSERT INTO plan_history (account_id,account_login,action,plan,pr_limit,marketplace_plan,billing_cycle,next_billing_date,on_free_trial,free_trial_ends_on,effective_date,sender_login) VALUES(?,?,?,?,?,?,?,?,?,?,?,?)"
+  ).bind(
+    change.account_id, change.account_login, action, change.plan, change.pr_limit, purchase.plan?.name || null, change.billing_cycle,
+    change.next_billing_date, change.on_free_trial, change.free_trial_ends_on, change.effective_date, payload.sender?.login || null
+  ).run();
+  const installations = await applyPlanChange(env, change);
+  return json({ status: "ok", action, plan: tier.plan, on_free_trial: !!change.on_free_trial, installations });
+}
+
+// Apply one plan_history entry to the account's installations; returns how many it touched.
+// A suspended installation keeps plan 'suspended' and gets the new plan as the one to restore.
+async function applyPlanChange(env, change) {
+  const account = "(account_id=? OR (account_id IS NULL AND account_login=?))";
+  let stmt;
+  if (change.action === "pending_change") {
+    stmt = env.DB.prepare(`UPDATE installations SET pending_plan=?,pending_plan_date=?,updated_at=datetime('now') WHERE ${account}`)
+      .bind(change.plan, change.effective_date, change.account_id, change.account_login);
+  } else if (change.action === "pending_change_cancelled") {
+    stmt = env.DB.prepare(`UPDATE installations SET pending_plan=NULL,pending_plan_date=NULL,updated_at=datetime('now') WHERE ${account}`)
+      .bind(change.account_id, change.account_login);
+  } else {
+    stmt = env.DB.prepare(
+      `UPDATE installations SET plan=CASE WHEN plan='suspended' THEN plan ELSE ? END,previous_plan=CASE WHEN plan='suspended' THEN ? ELSE previous_plan END,
+       pr_limit=?,billing_cycle=?,next_billing_date=?,on_free_trial=?,free_trial_ends_on=?,pending_plan=NULL,pending_plan_date=NULL,
+       account_id=COALESCE(account_id,?),updated_at=datetime('now') WHERE ${account}`
+    ).bind(
+      change.plan, change.plan, change.pr_limit, change.billing_cycle, change.next_billing_date, change.on_free_trial, change.free_trial_ends_on,
+      change.account_id, change.account_id, change.account_login
+    );
+  }
+  return (await stmt.run()).meta.changes;
+}
+
+// A new installation picks up the plan its account bought earlier, and any change still pending
+async function applyStoredPlan(env, account) {
+  const history = await env.DB.prepare("SELECT * FROM plan_history WHERE account_id=? OR account_login=? ORDER BY id DESC LIMIT 20")
+    .bind(account.id ?? null, account.login).all();
+  const rows = history.results || [];
+  const current = rows.find(r => !r.action.startsWith("pending_change"));
+  if (current) await applyPlanChange(env, current);
+  if (rows[0]?.action === "pending_change") await applyPlanChange(env, rows[0]);
+}
+
+function dateOnly(value) {
+  return value ? String(value).slice(0, 10) : null;
+}
+
+// ─── Trigger permissions ───
 
-  const sessionToken = crypto.randomUUID() + "-" + crypto.randomUUID();
-  const expires = new Date(Date.now() + 30 * 86400000).toISOString();
+const ROLE_ORDER = ["read", "triage", "write", "maintain", "admin"];
 
-  await env.DB.prepare(
-    "INSERT OR REPLACE INTO sessions (token,github_user_id,github_login,github_avatar,access_token,expires_at) VALUES(?,?,?,?,?,?)"
-  ).bind(sessionToken, user.id, user.login, user.avatar_url, tokenData.access_token, expires).run();
+function isBot(user) {
+  return !!user && (user.type === "Bot" || /\[bot\]$/.test(user.login || ""));
+}
 
-  if (installData.installations) {
-    for (const inst of installData.installations) {
-      await env.DB.prepare("INSERT OR IGNORE INTO user_installations (github_user_id,installation_id) VALUES(?,?)").bind(user.id, inst.id).run();
+// null when the commenter may trigger runs, otherwise { reason, role }; author is the comment or
+// review carrying the request
+async function checkTriggerPermission(env, payload, permissions, author = payload.comment) {
+  const user = author.user;
+  const association = author.author_association;
+  if (association === "OWNER") return null;
+
+  // author_association says nothing about the access level of MEMBER or COLLABORATOR, so anyone but the
+  // owner needs the permission API; when it can't be reached the command is denied rather than guessed
+  const [owner, name] = payload.repository.full_name.split("/");
+  let role = "read";
+  let octokit;
+  try {
+    octokit = installationOctokit(env, payload.installation.id);
+    const res = await octokit.repos.getCollaboratorPermissionLevel({ owner, repo: name, username: user.login });
+    // role_name is a custom role for some collaborators; permission is then the base role it extends
+    role = [res.data.role_name, res.data.permission].find(r => ROLE_ORDER.includes(r)) || role;
+  } catch (e) {
+    if (e.status !== 404) {
+      console.log(`permission lookup failed for ${user.login}: ${e.message}`);
+      return { reason: "permission_unavailable", association };
     }
   }
+  if (ROLE_ORDER.indexOf(role) >= ROLE_ORDER.indexOf(permissions.min_role)) return null;
 
-  // Same-origin redirect — cookie works perfectly
-  return new Response(null, {
-    status: 302,
-    headers: {
-      Location: `${url.origin}/#dashboard`,
-      "Set-Cookie": `session=${sessionToken}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=${30 * 86400}`,
-    },
-  });
+  for (const ref of permissions.teams) {
+    const [org, team] = ref.includes("/") ? ref.split("/") : [owner, ref];
+    try {
+      const res = await octokit.teams.getMembershipForUserInOrg({ org, team_slug: team, username: user.login });
+      if (res.data.state === "active") return null;
+    } catch (e) {
+      if (e.status !== 404) console.log(`team lookup failed for ${ref}: ${e.message}`);
+    }
+  }
+  return { reason: "insufficient_permission", role, association };
 }
 
-async function handleLogout(request, env) {
-  const token = getSessionToken(request);
-  if (token) await env.DB.prepare("DELETE FROM sessions WHERE token=?").bind(token).run();
-  return new Response(null, {
-    status: 200,
-    headers: { ...corsHeaders(), "Content-Type": "application/json", "Set-Cookie": "session=; Path=/; Max-Age=0" },
-  });
+function describeRequirement(permissions) {
+  const role = `people with ${permissions.min_role} access`;
+  return permissions.teams.length ? `${role} or members of ${permissions.teams.map(t => `\`${t}\``).join(", ")}` : role;
 }
 
-// ─── Auth middleware ───
+// ─── Audit log ───
 
-function getSessionToken(request) {
-  const auth = request.headers.get("Authorization");
-  if (auth?.startsWith("Bearer ")) return auth.slice(7);
-  const cookies = request.headers.get("Cookie") || "";
-  const m = cookies.match(/session=([^;]+)/);
-  return m?.[1] || null;
+async function recordAudit(env, { installationId = null, actor, action, target = null, detail = null }) {
+  await env.DB.prepare("INSERT INTO audit_log (installation_id,actor,action,target,detail) VALUES(?,?,?,?,?)")
+    .bind(installationId, actor, action, target, detail == null ? null : JSON.stringify(detail)).run();
 }
 
-async function getSession(request, env) {
-  const token = getSessionToken(request);
-  if (!token) return null;
-  return env.DB.prepare("SELECT * FROM sessions WHERE token=? AND expires_at>datetime('now')").bind(token).first();
+// ─── Run lifecycle ───
+
+// Progress the consumer reports while a run is in flight; "queued", "cancelled", "approved", "redriven",
+// "ci_gave_up", "finished" and the pr_merged / pr_closed / pr_reopened outcomes are recorded by the Worker itself
+const RUN_STAGES = ["picked_up", "clone_done", "suspects_located", "agent_started", "reproduced", "pr_opened", "retry_scheduled"];
+
+async function handleRunEvent(request, env) {
+  const auth = request.headers.get("Authorization");
+  if (auth !== `Bearer ${env.BACKEND_TOKEN}`) return new Response("Unauthorized", { status: 401 });
+  const data = await request.json();
+  if (!data.run_id) return json({ error: "run_id_required" }, 400);
+  if (!RUN_STAGES.includes(data.stage)) return json({ error: "invalid_stage", allowed: RUN_STAGES }, 400);
+
+  const run = await env.DB.prepare("SELECT status FROM fix_runs WHERE id=?").bind(data.run_id).first();
+  if (!run) return json({ error: "run_not_found" }, 404);
+  if (!["queued", "processing"].includes(run.status)) return json({ status: "ignored", reason: "run_finished" });
+
+  if (data.stage === "suspects_located") {
+    // The list lives on the run; the timeline only notes how many were found. Only locations are
+    // kept: code excerpts are for the prompt, and the dashboard serves this column as-is
+    const suspects = (Array.isArray(data.detail?.suspects) ? data.detail.suspects : []).slice(0, 20)
+      .map(({ file, line, function: fn, lang, score }) => ({ file, line, function: fn, lang, score }));
+    await env.DB.prepare("UPDATE fix_runs SET suspects=? WHERE id=?").bind(JSON.stringify({ ref: data.detail?.ref || null, suspects }), data.run_id).run();
+    await recordRunEvent(env, data.run_id, data.stage, { count: data.detail?.suspects?.length || 0 });
+  } else {
+    await recordRunEvent(env, data.run_id, data.stage, data.detail);
+  }
+  if (data.stage === "picked_up") {
+    await env.DB.prepare("UPDATE fix_runs SET status='processing' WHERE id=? AND status='queued'").bind(data.run_id).run();
+    await postRunStatus(env, data.run_id, "working");
+  } else if (data.stage === "retry_scheduled") {
+    await env.DB.prepare("UPDATE fix_runs SET status='queued' WHERE id=? AND status='processing'").bind(data.run_id).run();
+    await postRunStatus(env, data.run_id, "retrying", data.detail || {});
+  }
+  return json({ status: "recorded" });
 }
 
-async function withAuth(request, env, handler) {
-  const session = await getSession(request, env);
-  if (!session) return json({ error: "unauthorized" }, 401);
-  return handler(session, env);
+// Fail a queued or processing run from the Worker side: release its slot and say why on the issue
+async function failRun(env, runId, reason) {
+  const res = await env.DB.prepare(
+    "UPDATE fix_runs SET status='failed',error_message=?,completed_at=datetime('now') WHERE id=? AND status IN('queued','processing')"
+  ).bind(reason, runId).run();
+  if (!res.meta.changes) return false;
+  await recordRunEvent(env, runId, "finished", { status: "failed", pr_number: null, error: reason });
+  await settleRunQuota(env, runId, false);
+  await postRunStatus(env, runId, "failed", { reason });
+  return true;
 }
 
-// ─── Authenticated handlers ───
+async function recordRunEvent(env, runId, stage, detail) {
+  await env.DB.prepare("INSERT INTO fix_run_events (run_id,stage,detail) VALUES(?,?,?)")
+    .bind(runId, stage, detail == null ? null : JSON.stringify(detail)).run();
+}
 
-async function handleMe(session) {
-  return json({ login: session.github_login, avatar: session.github_avatar, user_id: session.github_user_id });
+// A run stays queued or processing until the consumer calls back. When that never happens (the backend
+// lost the task, the callback did not get through) the run would hold its issue for good, so on every
+// tick the Worker asks the backend which runs it still holds and fails the quiet ones it doesn't. Runs
+// waiting behind a long queue are still held and are left alone.
+const TICK_CRON = "*/10 * * * *";
+// Quiet time before an unheld run counts as lost; covers tasks on their way to the backend and
+// consumers that acked a task but have not called back yet
+const LOST_RUN_QUIET_MINUTES = 30;
+const LOST_RUN_MESSAGE = "The fix queue lost track of this run";
+
+async function reconcileRuns(env) {
+  let held;
+  try {
+    const res = await backendFetch(env, "/queue/runs");
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    held = new Set((await res.json()).run_ids);
+  } catch (e) {
+    console.log(`run reconciliation skipped, backend unavailable: ${e.message}`);
+    return;
+  }
+  const rows = await env.DB.prepare(
+    `SELECT r.id FROM fix_runs r WHERE r.status IN('queued','processing')
+     AND COALESCE((SELECT MAX(e.created_at) FROM fix_run_events e WHERE e.run_id=r.id), r.created_at)<datetime('now',?)`
+  ).bind(`-${LOST_RUN_QUIET_MINUTES} minutes`).all();
+  for (const { id } of rows.results || []) {
+    if (!held.has(id)) await failRun(env, id, LOST_RUN_MESSAGE);
+  }
 }
 
-async function handleMyInstallations(session, env) {
+// Events grouped per run, each with the seconds elapsed since the previous stage
+async function loadTimelines(env, runIds) {
+  const timelines = new Map(runIds.map(id => [id, []]));
+  if (!runIds.length) return timelines;
   const rows = await env.DB.prepare(
-    "SELECT i.* FROM installations i JOIN user_installations ui ON ui.installation_id=i.github_installation_id WHERE ui.github_user_id=? ORDER BY i.created_at DESC"
-  ).bind(session.github_user_id).all();
-  const month = new Date().toISOString().slice(0, 7);
-  const results = [];
-  for (const inst of rows.results || []) {
-    const usage = await env.DB.prepare("SELECT pr_count FROM usage_monthly WHERE installation_id=? AND month=?").bind(inst.github_installation_id, month).first();
-    results.push({ ...inst, current_month_prs: usage?.pr_count || 0 });
+    `SELECT run_id,stage,detail,created_at FROM fix_run_events WHERE run_id IN (${runIds.map(() => "?").join(",")}) ORDER BY id`
+  ).bind(...runIds).all();
+  for (const ev of rows.results || []) {
+    const timeline = timelines.get(ev.run_id);
+    const prev = timeline[timeline.length - 1];
+    timeline.push({
+      stage: ev.stage,
+      at: ev.created_at,
+      detail: ev.detail ? JSON.parse(ev.detail) : null,
+      elapsed_s: prev ? (parseDbTime(ev.created_at) - parseDbTime(prev.at)) / 1000 : 0,
+    });
   }
-  return json({ installations: results });
+  return timelines;
 }
 
-async function handleMyRuns(session, env) {
-  const runs = await env.DB.prepare(
-    "SELECT fr.* FROM fix_runs fr JOIN user_installations ui ON ui.installation_id=fr.installation_id WHERE ui.github_user_id=? ORDER BY fr.created_at DESC LIMIT 50"
-  ).bind(session.github_user_id).all();
-  return json({ runs: runs.results || [] });
+// The consumer truncates before uploading; these limits hold whatever it sends
+const RUN_ARTIFACT_CHARS = { summary: 4000, diff: 100000, log: 10000 };
+
+async function saveRunArtifacts(env, runId, artifacts) {
+  const value = key => {
+    const text = artifacts[key];
+    if (typeof text !== "string" || !text) return null;
+    // The end of a log is where it failed
+    return key === "log" ? text.slice(-RUN_ARTIFACT_CHARS[key]) : text.slice(0, RUN_ARTIFACT_CHARS[key]);
+  };
+  await env.DB.prepare("INSERT OR REPLACE INTO run_artifacts (run_id,summary,diff,log) VALUES(?,?,?,?)")
+    .bind(runId, value("summary"), value("diff"), value("log")).run();
 }
 
-async function handleMyUsage(session, env) {
-  const rows = await env.DB.prepare(
-    "SELECT um.*,i.account_login FROM usage_monthly um JOIN user_installations ui ON ui.installation_id=um.installation_id JOIN installations i ON i.github_installation_id=um.installation_id WHERE ui.github_user_id=? ORDER BY um.month DESC LIMIT 12"
-  ).bind(session.github_user_id).all();
-  return json({ usage: rows.results || [] });
+function parseDbTime(value) {
+  return Date.parse(value.replace(" ", "T") + "Z");
 }
 
-// ─── Public stats ───
+// GitHub timestamps (ISO 8601) in the format datetime('now') stores
+function dbTime(iso) {
+  return iso ? new Date(iso).toISOString().slice(0, 19).replace("T", " ") : null;
+}
 
-async function handleStats(env) {
-  const installs = await env.DB.prepare("SELECT COUNT(*) as c FROM installations").first();
-  const runs = await env.DB.prepare("SELECT COUNT(*) as c FROM fix_runs").first();
-  const prs = await env.DB.prepare("SELECT COUNT(*) as c FROM fix_runs WHERE status='success'").first();
-  const rate = runs.c > 0 ? Math.round((prs.c / runs.c) * 100) : 0;
-  const recent = await env.DB.prepare("SELECT repo,issue_number,pr_number,status,created_at FROM fix_runs ORDER BY created_at DESC LIMIT 10").all();
-  return json({ installations: installs.c, total_runs: runs.c, prs_created: prs.c, success_rate: rate, recent: recent.results || [] });
+function nowDbTime() {
+  return dbTime(new Date().toISOString());
 }
 
-// ─── Webhook ───
+// ─── Repo tokens ───
+// The consumer holds no GitHub credentials of its own: for each run it asks for an installation
+// token limited to the run's repository, and uses it to clone, push and open the PR.
 
-async function handleWebhook(request, env) {
-  const body = await request.text();
-  const signature = request.headers.get("x-hub-signature-256");
-  if (!signature || !env.GITHUB_WEBHOOK_SECRET) return new Response("Missing signature", { status: 401 });
-  if (!(await verifySignature(body, signature, env.GITHUB_WEBHOOK_SECRET))) return new Response("Invalid signature", { status: 401 });
+const RUN_TOKEN_PERMISSIONS = { contents: "write", pull_requests: "write", issues: "read" };
+// GitHub rejects pushes that touch .github/workflows without this; only approved diffs that do get it
+const WORKFLOW_TOKEN_PERMISSIONS = { ...RUN_TOKEN_PERMISSIONS, workflows: "write" };
 
-  const event = request.headers.get("x-github-event");
-  const payload = JSON.parse(body);
+async function handleRunToken(request, env) {
+  const auth = request.headers.get("Authorization");
+  if (auth !== `Bearer ${env.BACKEND_TOKEN}`) return new Response("Unauthorized", { status: 401 });
+  const data = await request.json();
+  if (!data.run_id) return json({ error: "run_id_required" }, 400);
 
-  // Installation lifecycle
-  if (event === "installation") return handleInstallationEvent(payload, env);
-  if (event === "installation_repositories") return handleInstallationRepos(payload, env);
+  const run = await env.DB.prepare(
+    "SELECT r.installation_id,r.repo,r.status,i.plan FROM fix_runs r JOIN installations i ON i.github_installation_id=r.installation_id WHERE r.id=?"
+  ).bind(data.run_id).first();
+  if (!run) return json({ error: "run_not_found" }, 404);
+  if (!["queued", "processing"].includes(run.status)) return json({ error: "run_finished", message: `Run #${data.run_id} is ${run.status}` }, 409);
 
-  // Fix triggers
-  if (event === "issues" && payload.action === "opened") return handleIssueOpened(payload, env);
-  if (event === "issue_comment" && payload.action === "created") {
-    const cmd = payload.comment?.body?.trim().toLowerCase();
-    if (cmd === "/fix" || cmd === "/autofix") return handleFixCommand(payload, env);
+  // Visibility and plan are checked again here: either may have changed since the run was queued
+  let repository;
+  try {
+    repository = await getRepository(installationOctokit(env, run.installation_id), run.repo);
+  } catch (e) {
+    return json({ error: "github_unavailable", message: e.message }, 502);
+  }
+  if (!planCoversRepo(run, repository.private)) {
+    return json({ error: "private_repo_requires_pro", message: `${run.repo} is private and the ${run.plan} plan only covers public repositories` }, 403);
+  }
+  const approval = await env.DB.prepare(
+    "SELECT detail FROM fix_run_events WHERE run_id=? AND stage='approved' ORDER BY id DESC LIMIT 1"
+  ).bind(data.run_id).first();
+  const permissions = JSON.parse(approval?.detail || "{}").workflows === true ? WORKFLOW_TOKEN_PERMISSIONS : RUN_TOKEN_PERMISSIONS;
+  try {
+    return json(await createRepoToken(env, run.installation_id, run.repo, permissions));
+  } catch (e) {
+    return json({ error: "github_unavailable", message: e.message }, 502);
   }
-  return json({ status: "ignored", event });
 }
 
-async function handleInstallationEvent(payload, env) {
-  const inst = payload.installation;
-  const action = payload.action;
+// ─── Repo config (.github/frost-autofix.yml) ───
 
-  if (action === "created") {
-    await env.DB.prepare(
-      "INSERT OR IGNORE INTO installations (github_installation_id,account_login,account_type) VALUES(?,?,?)"
-    ).bind(inst.id, inst.account.login, inst.account.type).run();
-    // Link sender to installation
-    if (payload.sender?.id) {
-      await env.DB.prepare("INSERT OR IGNORE INTO user_installations (github_user_id,installation_id) VALUES(?,?)").bind(payload.sender.id, inst.id).run();
-    }
-  } else if (action === "deleted") {
-    await env.DB.prepare("DELETE FROM installations WHERE github_installation_id=?").bind(inst.id).run();
-    await env.DB.prepare("DELETE FROM user_installations WHERE installation_id=?").bind(inst.id).run();
-  } else if (action === "suspend") {
-    await env.DB.prepare("UPDATE installations SET plan='suspended',updated_at=datetime('now') WHERE github_installation_id=?").bind(inst.id).run();
-  } else if (action === "unsuspend") {
-    await env.DB.prepare("UPDATE installations SET plan='free',updated_at=datetime('now') WHERE github_installation_id=?").bind(inst.id).run();
+const REPO_CONFIG_PATH = ".github/frost-autofix.yml";
+
+// Branch names end up in shell commands, keep them to git-safe characters
+const GIT_REF_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._\/-]*$/;
+
+// Shared with the consumer, which applies the same defaults to tasks queued without a config.
+// verify commands: null = detect from the repo's build files, false = skip, a string = run that command.
+// reproduce: write a failing regression test before the fix; `/fix --reproduce` turns it on for one run.
+// ci_repair.max_attempts: follow-up runs when CI fails on a fix PR, per fix or revision; 0 turns them off.
+// backfill: when the app gains access to a repo, queue open issues that already carry a trigger label
+const DEFAULT_REPO_CONFIG = defaultRepoConfig;
+
+// Missing file or unreachable API → defaults; a file that exists but is invalid → errors
+async function loadRepoConfig(env, installationId, repo) {
+  let text;
+  try {
+    text = await getRepoFile(installationOctokit(env, installationId), repo, REPO_CONFIG_PATH);
+  } catch (e) {
+    console.log(`config fetch failed for ${repo}: ${e.message}`);
+    return { config: DEFAULT_REPO_CONFIG, errors: [] };
   }
-  return json({ status: "ok", action });
-}
+  if (text == null) return { config: DEFAULT_REPO_CONFIG, errors: [] };
 
-async function handleInstallationRepos(payload, env) {
-  // When repos are added/removed from an installation — just acknowledge for now
-  // Could track per-repo config later
-  return json({ status: "ok", action: payload.action, repos_added: payload.repositories_added?.length || 0, repos_removed: payload.repositories_removed?.length || 0 });
+  let raw;
+  try {
+    raw = parseYaml(text);
+  } catch (e) {
+    return { config: DEFAULT_REPO_CONFIG, errors: [`${REPO_CONFIG_PATH}: ${e.message}`] };
+  }
+  return validateRepoConfig(raw);
 }
 
-// Auto-create installation record if missing (handles race conditions / missed webhooks)
-async function ensureInstallation(payload, env) {
-  const inst = payload.installation;
-  if (!inst?.id) return;
-  const login = inst.account?.login || payload.repository?.owner?.login || "unknown";
-  const type = inst.account?.type || "User";
-  await env.DB.prepare(
-    "INSERT OR IGNORE INTO installations (github_installation_id,account_login,account_type) VALUES(?,?,?)"
-  ).bind(inst.id, login, type).run();
-}
+function validateRepoConfig(raw) {
+  const errors = [];
+  const config = structuredClone(DEFAULT_REPO_CONFIG);
+  if (raw == null) return { config, errors };
+  if (!isPlainObject(raw)) return { config, errors: ["config must be a mapping"] };
+
+  const section = (obj, key, keys) => {
+    const val = obj[key];
+    if (val == null) return null;
+    if (!isPlainObject(val)) { errors.push(`${key} must be a mapping`); return null; }
+    for (const k of Object.keys(val)) if (!keys.includes(k)) errors.push(`unknown key ${key}.${k}`);
+    return val;
+  };
+  const stringList = (val, name) => {
+    if (typeof val === "string") val = [val];
+    if (!Array.isArray(val) || val.some(v => typeof v !== "string" || !v.trim())) { errors.push(`${name} must be a list of strings`); return null; }
+    return val.map(v => v.trim());
+  };
+  const string = (val, name, pattern) => {
+    if (typeof val !== "string" || !val.trim()) { errors.push(`${name} must be a non-empty string`); return null; }
+    if (pattern && !pattern.test(val)) { errors.push(`${name} contains invalid characters`); return null; }
+    return val;
+  };
+
+  for (const k of Object.keys(raw)) if (!(k in DEFAULT_REPO_CONFIG)) errors.push(`unknown key ${k}`);
+
+  const trigger = section(raw, "trigger", ["labels", "include_keywords", "exclude_keywords"]);
+  if (trigger) {
+    for (const k of ["labels", "include_keywords", "exclude_keywords"]) {
+      if (trigger[k] == null) continue;
+      const list = stringList(trigger[k], `trigger.${k}`);
+      if (list) config.trigger[k] = list.map(v => v.toLowerCase());
+    }
+  }
 
-async function handleIssueOpened(payload, env) {
-  const issue = payload.issue;
-  const repo = payload.repository.full_name;
-  const installId = payload.installation?.id;
-  if (!installId) return json({ status: "skipped", reason: "no_installation" });
-  if (!looksLikeBug(issue.title, issue.body || "", issue.labels || [])) return json({ status: "skipped", reason: "not_bug" });
+  const paths = section(raw, "paths", ["allow", "deny"]);
+  if (paths) {
+    for (const k of ["allow", "deny"]) {
+      if (paths[k] == null) continue;
+      const list = stringList(paths[k], `paths.${k}`);
+      if (list) config.paths[k] = list;
+    }
+  }
 
-  await ensureInstallation(payload, env);
+  const permissions = section(raw, "permissions", ["min_role", "approve_role", "teams"]);
+  if (permissions) {
+    for (const k of ["min_role", "approve_role"]) {
+      if (permissions[k] == null) continue;
+      if (!ROLE_ORDER.includes(permissions[k])) errors.push(`permissions.${k} must be one of ${ROLE_ORDER.join(", ")}`);
+      else config.permissions[k] = permissions[k];
+    }
+    if (permissions.teams != null) {
+      const list = stringList(permissions.teams, "permissions.teams");
+      if (list) config.permissions.teams = list;
+    }
+  }
 
-  const month = new Date().toISOString().slice(0, 7);
-  const install = await env.DB.prepare("SELECT * FROM installations WHERE github_installation_id=?").bind(installId).first();
-  if (install) {
-    const usage = await env.DB.prepare("SELECT pr_count FROM usage_monthly WHERE installation_id=? AND month=?").bind(installId, month).first();
-    if (install.pr_limit > 0 && (usage?.pr_count || 0) >= install.pr_limit) return json({ status: "skipped", reason: "limit_reached" });
+  if (raw.max_files_changed != null) {
+    const n = raw.max_files_changed;
+    if (!Number.isInteger(n) || n < 1 || n > 100) errors.push("max_files_changed must be an integer between 1 and 100");
+    else config.max_files_changed = n;
   }
 
-  await env.DB.prepare("INSERT INTO fix_runs (installation_id,repo,issue_number,status) VALUES(?,?,?,?)").bind(installId, repo, issue.number, "queued").run();
+  if (raw.branch_prefix != null) {
+    const v = string(raw.branch_prefix, "branch_prefix", GIT_REF_PATTERN);
+    if (v) config.branch_prefix = v;
+  }
+  if (raw.base_branch != null) {
+    const v = string(raw.base_branch, "base_branch", GIT_REF_PATTERN);
+    if (v) config.base_branch = v;
+  }
 
-  // Forward to backend
-  try {
-    await fetch(env.BACKEND_URL || "https://autofix.14530529.xyz/autofix", {
-      method: "POST",
-      headers: { "Content-Type": "application/json", Authorization: `Bearer ${env.BACKEND_TOKEN}` },
-      body: JSON.stringify({ installation_id: installId, repo, issue_number: issue.number, issue_title: issue.title, issue_body: issue.body }),
-    });
-  } catch (e) { /* best effort */ }
+  const pr = section(raw, "pull_request", ["title", "body", "draft"]);
+  if (pr) {
+    if (pr.title != null) {
+      const v = string(pr.title, "pull_request.title");
+      if (v && v.length > 200) errors.push("pull_request.title must be at most 200 characters");
+      else if (v) config.pull_request.title = v;
+    }
+    if (pr.body != null) {
+      const v = string(pr.body, "pull_request.body");
+      if (v) config.pull_request.body = v;
+    }
+    if (pr.draft != null) {
+      if (typeof pr.draft !== "boolean") errors.push("pull_request.draft must be true or false");
+      else config.pull_request.draft = pr.draft;
+    }
+  }
 
-  return json({ status: "queued", repo, issue: issue.number });
-}
+  const verify = section(raw, "verify", ["test", "lint", "typecheck", "on_regression"]);
+  if (verify) {
+    for (const k of ["test", "lint", "typecheck"]) {
+      if (verify[k] == null) continue;
+      if (verify[k] === false) config.verify[k] = false;
+      else if (typeof verify[k] !== "string" || !verify[k].trim() || verify[k].length > 500) errors.push(`verify.${k} must be a command (at most 500 characters) or false`);
+      else config.verify[k] = verify[k].trim();
+    }
+    if (verify.on_regression != null) {
+      if (!["block", "draft"].includes(verify.on_regression)) errors.push("verify.on_regression must be block or draft");
+      else config.verify.on_regression = verify.on_regression;
+    }
+  }
 
-async function handleFixCommand(payload, env) {
-  const issue = payload.issue;
-  const repo = payload.repository.full_name;
-  const installId = payload.installation?.id;
-  if (!installId) return json({ status: "skipped" });
+  if (raw.reproduce != null) {
+    if (typeof raw.reproduce !== "boolean") errors.push("reproduce must be true or false");
+    else config.reproduce = raw.reproduce;
+  }
 
-  await ensureInstallation(payload, env);
+  const ciRepair = section(raw, "ci_repair", ["max_attempts"]);
+  if (ciRepair?.max_attempts != null) {
+    const n = ciRepair.max_attempts;
+    if (!Number.isInteger(n) || n < 0 || n > 5) errors.push("ci_repair.max_attempts must be an integer between 0 and 5");
+    else config.ci_repair.max_attempts = n;
+  }
 
-  await env.DB.prepare("INSERT INTO fix_runs (installation_id,repo,issue_number,status) VALUES(?,?,?,?)").bind(installId, repo, issue.number, "queued").run();
-  try {
-    await fetch(env.BACKEND_URL || "https://autofix.14530529.xyz/autofix", {
-      method: "POST",
-      headers: { "Content-Type": "application/json", Authorization: `Bearer ${env.BACKEND_TOKEN}` },
-      body: JSON.stringify({ installation_id: installId, repo, issue_number: issue.number, issue_title: issue.title, issue_body: issue.body }),
-    });
-  } catch (e) { /* best effort */ }
-  return json({ status: "queued" });
+  const backfill = section(raw, "backfill", ["enabled", "max_issues"]);
+  if (backfill) {
+    if (backfill.enabled != null) {
+      if (typeof backfill.enabled !== "boolean") errors.push("backfill.enabled must be true or false");
+      else config.backfill.enabled = backfill.enabled;
+    }
+    if (backfill.max_issues != null) {
+      const n = backfill.max_issues;
+      if (!Number.isInteger(n) || n < 1 || n > 50) errors.push("backfill.max_issues must be an integer between 1 and 50");
+      else config.backfill.max_issues = n;
+    }
+  }
+
+  return { config, errors };
 }
 
-async function handleCallback(request, env) {
-  const auth = request.headers.get("Authorization");
-  if (auth !== `Bearer ${env.BACKEND_TOKEN}`) return new Response("Unauthorized", { status: 401 });
-  const data = await request.json();
-  await env.DB.prepare(
-    "UPDATE fix_runs SET status=?,pr_number=?,error_message=?,completed_at=datetime('now') WHERE installation_id=? AND repo=? AND issue_number=? AND status IN('queued','processing')"
-  ).bind(data.status, data.pr_number || null, data.error_message || null, data.installation_id, data.repo, data.issue_number).run();
-  if (data.status === "success" && data.pr_number) {
-    const month = new Date().toISOString().slice(0, 7);
-    await env.DB.prepare("INSERT INTO usage_monthly(installation_id,month,pr_count) VALUES(?,?,1) ON CONFLICT(installation_id,month) DO UPDATE SET pr_count=pr_count+1").bind(data.installation_id, month).run();
-  }
-  return json({ status: "updated" });
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
 }
 
 // ─── Utils ───
 
-function looksLikeBug(title, body, labels) {
-  if (labels.map(l => l.name.toLowerCase()).some(l => l.includes("bug") || l.includes("fix") || l.includes("error"))) return true;
+function looksLikeBug(title, body, labels, trigger = DEFAULT_REPO_CONFIG.trigger) {
+  if (hasTriggerLabel(labels, trigger)) return true;
   const text = `${title} ${body}`.toLowerCase();
-  return ["error","bug","crash","fail","broken","exception","traceback","typeerror","referenceerror","undefined"].some(kw => text.includes(kw));
+  if (trigger.exclude_keywords.some(kw => text.includes(kw))) return false;
+  return trigger.include_keywords.some(kw => text.includes(kw));
+}
+
+function hasTriggerLabel(labels, trigger = DEFAULT_REPO_CONFIG.trigger) {
+  return labels.map(l => (l.name || "").toLowerCase()).some(l => trigger.labels.some(t => l.includes(t)));
 }
 
 async function verifySignature(body, signature, secret) {
@@ -361,7 +2211,7 @@ table{width:100%;border-collapse:collapse;background:var(--card);border:1px soli
 th,td{padding:.75rem 1rem;text-align:left;border-bottom:1px solid var(--border)}
 th{color:var(--muted);font-weight:600;font-size:.85rem;text-transform:uppercase}td{font-size:.9rem}
 .badge{display:inline-block;padding:2px 8px;border-radius:12px;font-size:.75rem;font-weight:600}
-.badge-success{background:rgba(63,185,80,.15);color:var(--green)}.badge-failed{background:rgba(248,81,73,.15);color:var(--red)}.badge-queued{background:rgba(88,166,255,.15);color:var(--accent)}.badge-processing{background:rgba(210,153,34,.15);color:var(--yellow)}
+.badge-success{background:rgba(63,185,80,.15);color:var(--green)}.badge-failed{background:rgba(248,81,73,.15);color:var(--red)}.badge-queued{background:rgba(88,166,255,.15);color:var(--accent)}.badge-processing{background:rgba(210,153,34,.15);color:var(--yellow)}.badge-needs_info{background:rgba(210,153,34,.15);color:var(--yellow)}.badge-blocked{background:rgba(248,81,73,.15);color:var(--red)}.badge-no_fix,.badge-cancelled{background:rgba(139,148,158,.15);color:var(--muted)}
 .how-it-works{display:grid;grid-template-columns:repeat(auto-fit,minmax(200px,1fr));gap:1rem;margin-bottom:2rem}
 .step{background:var(--card);border:1px solid var(--border);border-radius:8px;padding:1.25rem}
 .step .num{font-size:1.5rem;font-weight:700;color:var(--accent)}.step p{color:var(--muted);margin-top:.5rem;font-size:.9rem}
@@ -380,6 +2230,12 @@ th{color:var(--muted);font-weight:600;font-size:.85rem;text-transform:uppercase}
 .page{display:none}.page.active{display:block}
 footer{text-align:center;color:var(--muted);font-size:.8rem;margin-top:3rem;padding-top:1rem;border-top:1px solid var(--border)}
 .empty{text-align:center;color:var(--muted);padding:2rem}
+.toolbar{display:flex;gap:.5rem;margin-bottom:1rem;flex-wrap:wrap}
+.field{background:var(--card);border:1px solid var(--border);color:var(--text);border-radius:6px;padding:.35rem .6rem;font-size:.85rem}
+.pager{display:flex;gap:.5rem;justify-content:flex-end;margin:-1rem 0 1.5rem}
+.timeline{list-style:none;font-size:.85rem;color:var(--muted);margin:.75rem 0}.timeline li{padding:.15rem 0}
+.detail-title{font-size:.9rem;margin-top:1rem}
+.code{background:var(--bg);border:1px solid var(--border);border-radius:6px;padding:.75rem;font-size:.8rem;overflow:auto;max-height:420px;margin:.5rem 0 1rem;white-space:pre}
 </style>
 </head>
 <body>
@@ -389,6 +2245,7 @@ footer{text-align:center;color:var(--muted);font-size:.8rem;margin-top:3rem;padd
     <div class="nav-links">
       <a id="nav-home" class="active" onclick="showPage('home')"></a>
       <a id="nav-dashboard" style="display:none" onclick="showPage('dashboard')"></a>
+      <a id="nav-admin" style="display:none" onclick="showPage('admin')"></a>
       <button class="lang-sw" onclick="toggleLang()" id="lang-btn">EN</button>
       <span id="auth-area"></span>
     </div>
@@ -404,6 +2261,7 @@ footer{text-align:center;color:var(--muted);font-size:.8rem;margin-top:3rem;padd
       <div class="stat-card"><div class="value" id="s-runs">&mdash;</div><div class="label" id="lbl-runs"></div></div>
       <div class="stat-card"><div class="value" id="s-prs">&mdash;</div><div class="label" id="lbl-prs"></div></div>
       <div class="stat-card"><div class="value" id="s-rate">&mdash;</div><div class="label" id="lbl-rate"></div></div>
+      <div class="stat-card"><div class="value" id="s-ttm">&mdash;</div><div class="label" id="lbl-ttm"></div></div>
     </div>
     <div class="cta" id="cta-area"></div>
     <h2 class="section-title" id="how-title"></h2>
@@ -429,11 +2287,25 @@ footer{text-align:center;color:var(--muted);font-size:.8rem;margin-top:3rem;padd
     <h2 class="section-title" id="dash-title-installs"></h2>
     <div id="dash-installations"><div class="empty" id="dash-inst-loading"></div></div>
     <h2 class="section-title" id="dash-title-history"></h2>
+    <div class="toolbar"><select id="runs-repo" class="field" onchange="loadRuns(0)"></select><select id="runs-status" class="field" onchange="loadRuns(0)"></select><input type="date" id="runs-from" class="field" onchange="loadRuns(0)"><input type="date" id="runs-to" class="field" onchange="loadRuns(0)"></div>
+    <div id="run-detail" class="install-card" style="display:none"></div>
     <div id="dash-runs"><div class="empty" id="dash-runs-loading"></div></div>
     <h2 class="section-title" id="dash-title-usage"></h2>
     <div id="dash-usage"><div class="empty" id="dash-usage-loading"></div></div>
   </div>
 
+  <div id="page-admin" class="page">
+    <h2 class="section-title" id="admin-title-installs"></h2>
+    <div class="toolbar"><input id="admin-q" class="field" onkeydown="if(event.key==='Enter')adminInstalls(0)"><button class="btn btn-outline btn-sm" id="admin-search" onclick="adminInstalls(0)"></button></div>
+    <div id="admin-installs"></div>
+    <h2 class="section-title" id="admin-title-runs"></h2>
+    <div class="toolbar"><select id="admin-status" class="field" onchange="adminRuns(0)"></select><input id="admin-inst" class="field" onkeydown="if(event.key==='Enter')adminRuns(0)"></div>
+    <div id="admin-run" class="install-card" style="display:none"></div>
+    <div id="admin-runs"></div>
+    <h2 class="section-title" id="admin-title-audit"></h2>
+    <div id="admin-audit"></div>
+  </div>
+
   <footer><p>frost-autofix &middot; Built by <a href="https://github.com/stakeswky">stakeswky</a></p></footer>
 </div>
 <script>
@@ -445,7 +2317,7 @@ var I18N = {
   zh: {
     nav_home:'首页', nav_dash:'控制台',
     hero:'AI 驱动的 GitHub Bug 自动修复。安装后自动分析 Issue 并提交修复 PR。',
-    lbl_installs:'安装数', lbl_runs:'修复次数', lbl_prs:'已创建 PR', lbl_rate:'成功率',
+    lbl_installs:'安装数', lbl_runs:'修复次数', lbl_prs:'已创建 PR', lbl_rate:'合并率', lbl_ttm:'合并用时中位数',
     cta_go:'安装到 GitHub →', cta_done:'✓ 已安装',
     how:'工作原理',
     s1:'在你的仓库安装 GitHub App', s2:'新 Bug Issue 被创建（或评论 /fix）',
@@ -456,15 +2328,23 @@ var I18N = {
     recent:'最近活动', th_repo:'仓库', th_status:'状态', th_date:'日期',
     loading:'加载中...', load_fail:'加载失败',
     dash_installs:'你的安装', dash_history:'修复历史', dash_usage:'月度用量',
-    no_installs:'未找到安装。', install_link:'去安装 →',
+    no_installs:'未找到安装。', install_link:'去安装 →', merged_prs:'已合并', median_ttm:'合并用时中位数',
+    backfill:'回填: {queued} 个已排队，{pending} 个等待中，{skipped} 个已跳过',
+    renews:'{date} 续订', trial_ends:'免费试用至 {date}', pending_plan:'将于 {date} 切换为 {plan}',
     no_runs:'暂无修复记录', no_usage:'暂无用量数据',
     login:'GitHub 登录', logout:'退出',
-    th_issue:'Issue', th_pr:'PR', th_account:'账号', th_month:'月份', th_count:'PR 数'
+    th_issue:'Issue', th_pr:'PR', th_suspects:'可疑位置', th_account:'账号', th_month:'月份', th_count:'PR 数',
+    nav_admin:'运维', admin_installs:'安装', admin_runs:'修复任务', admin_audit:'审计日志', search:'搜索', q_hint:'账号或 ID', inst_hint:'安装 ID', all_statuses:'全部状态',
+    th_plan:'套餐', th_this_month:'本月 PR', th_active:'进行中', th_kind:'类型', th_time:'时间', th_actor:'操作人', th_action:'操作', th_target:'对象', th_detail:'详情',
+    act_plan:'套餐', act_reset:'重置用量', act_runs:'任务', act_cancel:'取消', act_redrive:'重新执行', prev:'上一页', next:'下一页', no_entries:'暂无记录',
+    all_repos:'全部仓库', th_run:'任务', summary:'Agent 总结', diff:'Diff', agent_log:'Agent 日志（末尾）', no_artifacts:'这次任务没有上传 diff 或日志。', error_label:'错误',
+    rerun:'重新执行', ask_rerun:'为该 issue 重新排队一次修复？会占用本月额度。',
+    ask_plan:'新套餐 (free / pro)', ask_limit:'每月 PR 上限 (-1 为不限；留空使用套餐默认值)', ask_reset:'清零本月已计入的 PR 数？', ask_cancel:'取消任务 #{id}？', ask_redrive:'为该 issue 新建一次修复任务？'
   },
   en: {
     nav_home:'Home', nav_dash:'Dashboard',
     hero:'AI-powered bug fixer for GitHub. Install the app and we'll automatically analyze issues and submit fix PRs.',
-    lbl_installs:'Installations', lbl_runs:'Fix Attempts', lbl_prs:'PRs Created', lbl_rate:'Success Rate',
+    lbl_installs:'Installations', lbl_runs:'Fix Attempts', lbl_prs:'PRs Created', lbl_rate:'Merge Rate', lbl_ttm:'Median Time to Merge',
     cta_go:'Install on GitHub →', cta_done:'✓ Installed',
     how:'How it works',
     s1:'Install the GitHub App on your repo', s2:'A new bug issue is opened (or comment /fix)',
@@ -475,10 +2355,18 @@ var I18N = {
     recent:'Recent Activity', th_repo:'Repo', th_status:'Status', th_date:'Date',
     loading:'Loading...', load_fail:'Failed to load',
     dash_installs:'Your Installations', dash_history:'Fix History', dash_usage:'Monthly Usage',
-    no_installs:'No installations found. ', install_link:'Install the app →',
+    no_installs:'No installations found. ', install_link:'Install the app →', merged_prs:'merged', median_ttm:'median time to merge',
+    backfill:'Backfill: {queued} queued, {pending} waiting, {skipped} skipped',
+    renews:'Renews on {date}', trial_ends:'Free trial ends {date}', pending_plan:'Changes to {plan} on {date}',
     no_runs:'No fix runs yet', no_usage:'No usage data yet',
     login:'Sign in with GitHub', logout:'Logout',
-    th_issue:'Issue', th_pr:'PR', th_account:'Account', th_month:'Month', th_count:'PRs'
+    th_issue:'Issue', th_pr:'PR', th_suspects:'Suspects', th_account:'Account', th_month:'Month', th_count:'PRs',
+    nav_admin:'Admin', admin_installs:'Installations', admin_runs:'Runs', admin_audit:'Audit Log', search:'Search', q_hint:'Account or id', inst_hint:'Installation id', all_statuses:'All statuses',
+    th_plan:'Plan', th_this_month:'PRs this month', th_active:'Active', th_kind:'Kind', th_time:'Time', th_actor:'Actor', th_action:'Action', th_target:'Target', th_detail:'Detail',
+    act_plan:'Plan', act_reset:'Reset usage', act_runs:'Runs', act_cancel:'Cancel', act_redrive:'Re-drive', prev:'Previous', next:'Next', no_entries:'Nothing here yet',
+    all_repos:'All repos', th_run:'Run', summary:'Agent summary', diff:'Diff', agent_log:'Agent log (tail)', no_artifacts:'No diff or log was uploaded for this run.', error_label:'Error',
+    rerun:'Re-run', ask_rerun:'Queue this issue again? It counts against the monthly quota.',
+    ask_plan:'New plan (free / pro)', ask_limit:'Monthly PR limit (-1 for unlimited, empty for the plan default)', ask_reset:'Clear the PRs counted this month?', ask_cancel:'Cancel run #{id}?', ask_redrive:'Start a new run for this issue?'
   }
 };
 
@@ -492,6 +2380,7 @@ function applyLang(){
   document.getElementById('lbl-runs').textContent = t('lbl_runs');
   document.getElementById('lbl-prs').textContent = t('lbl_prs');
   document.getElementById('lbl-rate').textContent = t('lbl_rate');
+  document.getElementById('lbl-ttm').textContent = t('lbl_ttm');
   document.getElementById('how-title').textContent = t('how');
   document.getElementById('step1').textContent = t('s1');
   document.getElementById('step2').textContent = t('s2');
@@ -516,6 +2405,20 @@ function applyLang(){
   document.getElementById('dash-inst-loading').textContent = t('loading');
   document.getElementById('dash-runs-loading').textContent = t('loading');
   document.getElementById('dash-usage-loading').textContent = t('loading');
+  document.getElementById('nav-admin').textContent = t('nav_admin');
+  document.getElementById('admin-title-installs').textContent = t('admin_installs');
+  document.getElementById('admin-title-runs').textContent = t('admin_runs');
+  document.getElementById('admin-title-audit').textContent = t('admin_audit');
+  document.getElementById('admin-search').textContent = t('search');
+  document.getElementById('admin-q').placeholder = t('q_hint');
+  document.getElementById('admin-inst').placeholder = t('inst_hint');
+  ['admin-status','runs-status'].forEach(function(id){
+    var sel = document.getElementById(id);
+    var picked = sel.value;
+    sel.innerHTML = ['','queued','processing','success','needs_info','no_fix','failed','cancelled','blocked'].map(function(s){ return '<option value="'+s+'">'+(s||t('all_statuses'))+'</option>'; }).join('');
+    sel.value = picked;
+  });
+  fillRepos(knownRepos);
   document.getElementById('lang-btn').textContent = L==='zh' ? 'EN' : '中文';
   document.documentElement.lang = L;
   updateCTA();
@@ -528,6 +2431,67 @@ function toggleLang(){
   applyLang();
 }
 
+// Top stack-trace location, linked at the commit the run started from; the rest in the tooltip
+function suspectsCell(r){
+  var list = r.suspects && r.suspects.suspects;
+  if(!list || !list.length) return '&mdash;';
+  var top = list[0];
+  var label = escHtml(top.file.split('/').pop()+':'+top.line);
+  var all = escHtml(list.map(function(s){ return s.file+':'+s.line; }).join('\\n'));
+  var more = list.length>1 ? ' <span style="color:var(--muted)">+'+(list.length-1)+'</span>' : '';
+  return '<a href="https://github.com/'+r.repo+'/blob/'+r.suspects.ref+'/'+encodeURI(top.file)+'#L'+top.line+'" title="'+all+'"><code>'+label+'</code></a>'+more;
+}
+
+function escHtml(s){
+  return String(s).replace(/[&<>"]/g, function(c){ return {'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;'}[c]; });
+}
+
+function billingLines(inst){
+  var lines = [];
+  if(inst.on_free_trial && inst.free_trial_ends_on) lines.push(t('trial_ends').replace('{date}',inst.free_trial_ends_on));
+  else if(inst.next_billing_date) lines.push(t('renews').replace('{date}',inst.next_billing_date));
+  if(inst.backfill) lines.push(t('backfill').replace('{queued}',inst.backfill.queued).replace('{pending}',inst.backfill.pending).replace('{skipped}',inst.backfill.skipped));
+  if(inst.pending_plan) lines.push(t('pending_plan').replace('{plan}',inst.pending_plan).replace('{date}',inst.pending_plan_date||'?'));
+  return lines.map(function(l){ return '<div class="usage-text">'+l+'</div>'; }).join('');
+}
+
+function fmtHours(h){
+  if(h==null) return '—';
+  return h<48 ? h+'h' : Math.round(h/24*10)/10+'d';
+}
+
+function pager(fn, d){
+  var h = '';
+  if(d.offset) h += '<button class="btn btn-outline btn-sm" onclick="'+fn+'('+Math.max(0,d.offset-d.limit)+')">'+t('prev')+'</button>';
+  if(d.has_more) h += '<button class="btn btn-outline btn-sm" onclick="'+fn+'('+(d.offset+d.limit)+')">'+t('next')+'</button>';
+  return h ? '<div class="pager">'+h+'</div>' : '';
+}
+
+// Timeline, error, agent summary, diff and log of one run, from /api/my/runs/:id or /api/admin/runs/:id
+function runDetailHtml(r){
+  var h = '<div class="install-header"><span class="account">Run #'+r.id+' · <a href="https://github.com/'+r.repo+'/issues/'+r.issue_number+'">'+r.repo+'#'+r.issue_number+'</a> · '+r.kind+'</span><span class="badge '+badgeClass(r.status)+'">'+r.status+'</span></div>';
+  if(r.pr_number) h += '<div class="usage-text">PR <a href="https://github.com/'+r.repo+'/pull/'+r.pr_number+'">#'+r.pr_number+'</a>'+(r.pr_state ? ' ('+r.pr_state+')' : '')+'</div>';
+  if(r.error_message) h += '<div class="usage-text">'+t('error_label')+': '+escHtml(r.error_message)+'</div>';
+  h += '<ul class="timeline">'+r.timeline.map(function(ev){ return '<li>'+ev.at+' UTC — '+ev.stage+(ev.detail ? ' <code>'+escHtml(JSON.stringify(ev.detail))+'</code>' : '')+'</li>'; }).join('')+'</ul>';
+  var a = r.artifacts;
+  if(!a) return h+'<div class="usage-text">'+t('no_artifacts')+'</div>';
+  if(a.summary) h += '<div class="detail-title">'+t('summary')+'</div><pre class="code">'+escHtml(a.summary)+'</pre>';
+  if(a.diff) h += '<div class="detail-title">'+t('diff')+'</div><pre class="code">'+diffHtml(a.diff)+'</pre>';
+  if(a.log) h += '<details><summary class="detail-title">'+t('agent_log')+'</summary><pre class="code">'+escHtml(a.log)+'</pre></details>';
+  return h;
+}
+
+function diffHtml(diff){
+  return diff.split('\\n').map(function(l){
+    var color = l.indexOf('+++')===0 || l.indexOf('---')===0 ? '' : l[0]==='+' ? 'var(--green)' : l[0]==='-' ? 'var(--red)' : l.indexOf('@@')===0 ? 'var(--accent)' : '';
+    return color ? '<span style="color:'+color+'">'+escHtml(l)+'</span>' : escHtml(l);
+  }).join('\\n');
+}
+
+function badgeClass(status){
+  return ['success','failed','processing','needs_info','no_fix','cancelled','blocked'].indexOf(status)>=0 ? 'badge-'+status : 'badge-queued';
+}
+
 function updateCTA(){
   var el = document.getElementById('cta-area');
   if(!el) return;
@@ -546,13 +2510,16 @@ function showPage(name){
   if(pg) pg.classList.add('active');
   if(nv) nv.classList.add('active');
   if(name==='dashboard' && currentUser) loadDashboard();
+  if(name==='admin' && currentUser && currentUser.operator) loadAdmin();
   if(name==='home') loadPublicStats();
 }
 
 function updateAuthUI(user){
   var area = document.getElementById('auth-area');
   var dashNav = document.getElementById('nav-dashboard');
+  var adminNav = document.getElementById('nav-admin');
   if(!area) return;
+  adminNav.style.display = user && user.operator ? '' : 'none';
   if(user){
     dashNav.style.display = '';
     area.innerHTML = '<span class="user-menu"><img src="'+user.avatar+'" class="avatar" alt="'+user.login+'"><span style="font-size:.9rem">'+user.login+'</span><button class="btn-danger" onclick="doLogout()">'+t('logout')+'</button></span>';
@@ -578,6 +2545,7 @@ async function checkAuth(){
     updateAuthUI(currentUser);
     updateCTA();
     if(location.hash.includes('dashboard')) showPage('dashboard');
+    else if(location.hash.includes('admin')) showPage('admin');
   } catch(e){ updateAuthUI(null); }
 }
 
@@ -594,12 +2562,13 @@ async function loadPublicStats(){
     document.getElementById('s-installs').textContent = d.installations;
     document.getElementById('s-runs').textContent = d.total_runs;
     document.getElementById('s-prs').textContent = d.prs_created;
-    document.getElementById('s-rate').textContent = d.success_rate+'%';
+    document.getElementById('s-rate').textContent = d.merge_rate==null ? '—' : d.merge_rate+'%';
+    document.getElementById('s-ttm').textContent = fmtHours(d.median_time_to_merge_hours);
     var tbody = document.getElementById('activity-body');
     tbody.innerHTML = '';
     if(d.recent && d.recent.length){
       d.recent.forEach(function(r){
-        var cls = r.status==='success'?'badge-success':r.status==='failed'?'badge-failed':r.status==='processing'?'badge-processing':'badge-queued';
+        var cls = badgeClass(r.status);
         var tr = document.createElement('tr');
         tr.innerHTML = '<td><a href="https://github.com/'+r.repo+'">'+r.repo+'</a></td><td>#'+r.issue_number+'</td><td>'+(r.pr_number?'<a href="https://github.com/'+r.repo+'/pull/'+r.pr_number+'" style="color:var(--green)">#'+r.pr_number+'</a>':'&mdash;')+'</td><td><span class="badge '+cls+'">'+r.status+'</span></td><td>'+new Date(r.created_at).toLocaleDateString()+'</td>';
         tbody.appendChild(tr);
@@ -622,26 +2591,12 @@ async function loadDashboard(){
         var pct = inst.pr_limit>0 ? Math.min(100,Math.round(inst.current_month_prs/inst.pr_limit*100)) : 0;
         var bc = pct>=100?'full':pct>=80?'warn':'ok';
         var limitStr = inst.pr_limit===-1 ? '∞' : inst.pr_limit;
-        return '<div class="install-card"><div class="install-header"><span class="account">'+inst.account_login+'</span><span class="plan-badge plan-'+inst.plan+'">'+inst.plan+'</span></div><div class="usage-text">'+inst.current_month_prs+' / '+limitStr+' PRs</div>'+(inst.pr_limit>0?'<div class="usage-bar-wrap"><div class="usage-bar '+bc+'" style="width:'+pct+'%"></div></div>':'')+'</div>';
+        return '<div class="install-card"><div class="install-header"><span class="account">'+inst.account_login+'</span><span class="plan-badge plan-'+inst.plan+'">'+inst.plan+'</span></div><div class="usage-text">'+inst.current_month_prs+' / '+limitStr+' PRs</div>'+(inst.pr_limit>0?'<div class="usage-bar-wrap"><div class="usage-bar '+bc+'" style="width:'+pct+'%"></div></div>':'')+(inst.merge_rate!=null?'<div class="usage-text">'+inst.merge_rate+'% '+t('merged_prs')+' · '+t('median_ttm')+' '+fmtHours(inst.median_time_to_merge_hours)+'</div>':'')+billingLines(inst)+'</div>';
       }).join('');
     }
   } catch(e){ document.getElementById('dash-installations').innerHTML = '<div class="empty">'+t('load_fail')+'</div>'; }
 
-  try {
-    var data = await (await fetch('/api/my/runs')).json();
-    var el = document.getElementById('dash-runs');
-    if(!data.runs || !data.runs.length){
-      el.innerHTML = '<div class="empty">'+t('no_runs')+'</div>';
-    } else {
-      var h = '<table><thead><tr><th>'+t('th_repo')+'</th><th>'+t('th_issue')+'</th><th>'+t('th_pr')+'</th><th>'+t('th_status')+'</th><th>'+t('th_date')+'</th></tr></thead><tbody>';
-      data.runs.forEach(function(r){
-        var cls = r.status==='success'?'badge-success':r.status==='failed'?'badge-failed':r.status==='processing'?'badge-processing':'badge-queued';
-        h += '<tr><td><a href="https://github.com/'+r.repo+'">'+r.repo+'</a></td><td><a href="https://github.com/'+r.repo+'/issues/'+r.issue_number+'">#'+r.issue_number+'</a></td><td>'+(r.pr_number?'<a href="https://github.com/'+r.repo+'/pull/'+r.pr_number+'" style="color:var(--green)">#'+r.pr_number+'</a>':'&mdash;')+'</td><td><span class="badge '+cls+'">'+r.status+'</span></td><td>'+new Date(r.created_at).toLocaleDateString()+'</td></tr>';
-      });
-      h += '</tbody></table>';
-      el.innerHTML = h;
-    }
-  } catch(e){ document.getElementById('dash-runs').innerHTML = '<div class="empty">'+t('load_fail')+'</div>'; }
+  loadRuns(runsOffset);
 
   try {
     var data = await (await fetch('/api/my/usage')).json();
@@ -657,6 +2612,177 @@ async function loadDashboard(){
   } catch(e){ document.getElementById('dash-usage').innerHTML = '<div class="empty">'+t('load_fail')+'</div>'; }
 }
 
+var runsOffset = 0;
+var knownRepos = [];
+
+function fillRepos(repos){
+  knownRepos = repos;
+  var sel = document.getElementById('runs-repo');
+  var picked = sel.value;
+  sel.innerHTML = '<option value="">'+t('all_repos')+'</option>'+repos.map(function(r){ return '<option value="'+escHtml(r)+'">'+escHtml(r)+'</option>'; }).join('');
+  sel.value = repos.indexOf(picked)>=0 ? picked : '';
+}
+
+async function loadRuns(offset){
+  var el = document.getElementById('dash-runs');
+  runsOffset = offset;
+  try {
+    var q = ['limit=20','offset='+offset];
+    [['repo','runs-repo'],['status','runs-status'],['from','runs-from'],['to','runs-to']].forEach(function(f){
+      var v = document.getElementById(f[1]).value;
+      if(v) q.push(f[0]+'='+encodeURIComponent(v));
+    });
+    var data = await (await fetch('/api/my/runs?'+q.join('&'))).json();
+    fillRepos(data.repos || []);
+    if(!data.runs || !data.runs.length){
+      el.innerHTML = '<div class="empty">'+t('no_runs')+'</div>';
+      return;
+    }
+    var h = '<table><thead><tr><th>'+t('th_run')+'</th><th>'+t('th_repo')+'</th><th>'+t('th_issue')+'</th><th>'+t('th_pr')+'</th><th>'+t('th_suspects')+'</th><th>'+t('th_status')+'</th><th>'+t('th_date')+'</th></tr></thead><tbody>';
+    data.runs.forEach(function(r){
+      var cls = badgeClass(r.status);
+      h += '<tr><td><a onclick="showRun('+r.id+')" style="cursor:pointer">#'+r.id+'</a></td><td><a href="https://github.com/'+r.repo+'">'+r.repo+'</a></td><td><a href="https://github.com/'+r.repo+'/issues/'+r.issue_number+'">#'+r.issue_number+'</a></td><td>'+(r.pr_number?'<a href="https://github.com/'+r.repo+'/pull/'+r.pr_number+'" style="color:var(--green)">#'+r.pr_number+'</a>':'&mdash;')+'</td><td>'+suspectsCell(r)+'</td><td><span class="badge '+cls+'"'+(r.error_message?' title="'+escHtml(r.error_message)+'"':'')+'>'+r.status+'</span></td><td>'+new Date(r.created_at).toLocaleDateString()+'</td></tr>';
+    });
+    el.innerHTML = h+'</tbody></table>'+pager('loadRuns', data);
+  } catch(e){ el.innerHTML = '<div class="empty">'+t('load_fail')+'</div>'; }
+}
+
+async function showRun(id){
+  var el = document.getElementById('run-detail');
+  el.style.display = '';
+  try {
+    var res = await fetch('/api/my/runs/'+id);
+    if(!res.ok) throw new Error('HTTP '+res.status);
+    var r = (await res.json()).run;
+    el.innerHTML = runDetailHtml(r)+(r.can_rerun ? '<button class="btn btn-outline btn-sm" onclick="rerunRun('+r.id+')">'+t('rerun')+'</button>' : '');
+    el.scrollIntoView({ behavior:'smooth' });
+  } catch(e){ el.innerHTML = '<div class="empty">'+t('load_fail')+'</div>'; }
+}
+
+async function rerunRun(id){
+  if(!confirm(t('ask_rerun'))) return;
+  var res = await fetch('/api/my/runs/'+id+'/rerun', { method:'POST' });
+  var d = await res.json().catch(function(){ return {}; });
+  if(!res.ok){ alert(d.message || d.error || ('HTTP '+res.status)); return; }
+  loadRuns(0);
+  showRun(d.run_id);
+}
+
+// Operator console: /api/admin, only shown to the user ids in OPERATOR_USER_IDS
+var adminOffsets = { installs:0, runs:0 };
+
+async function adminApi(path, body){
+  var res = await fetch('/api/admin'+path, body ? {method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify(body)} : {});
+  var data = await res.json().catch(function(){ return {}; });
+  if(!res.ok) throw new Error(data.message || (data.errors||[]).join('; ') || data.error || ('HTTP '+res.status));
+  return data;
+}
+
+function adminFail(el, e){ el.innerHTML = '<div class="empty">'+t('load_fail')+': '+escHtml(e.message)+'</div>'; }
+
+function loadAdmin(){
+  adminInstalls(adminOffsets.installs);
+  adminRuns(adminOffsets.runs);
+  adminAudit();
+}
+
+async function adminInstalls(offset){
+  var el = document.getElementById('admin-installs');
+  adminOffsets.installs = offset;
+  try {
+    var q = document.getElementById('admin-q').value.trim();
+    var d = await adminApi('/installations?limit=20&offset='+offset+(q ? '&q='+encodeURIComponent(q) : ''));
+    if(!d.installations.length){ el.innerHTML = '<div class="empty">'+t('no_entries')+'</div>'; return; }
+    var h = '<table><thead><tr><th>'+t('th_account')+'</th><th>ID</th><th>'+t('th_plan')+'</th><th>'+t('th_this_month')+'</th><th>'+t('th_active')+'</th><th></th></tr></thead><tbody>';
+    d.installations.forEach(function(i){
+      var id = i.github_installation_id;
+      h += '<tr><td>'+escHtml(i.account_login)+'</td><td>'+id+'</td><td><span class="plan-badge plan-'+i.plan+'">'+i.plan+'</span></td><td>'+i.current_month_prs+' / '+(i.pr_limit===-1 ? '∞' : i.pr_limit)+(i.current_month_reserved ? ' (+'+i.current_month_reserved+')' : '')+'</td><td>'+i.active_runs+'</td>'
+        +'<td style="white-space:nowrap"><button class="btn btn-outline btn-sm" onclick="adminSetPlan('+id+')">'+t('act_plan')+'</button> <button class="btn btn-outline btn-sm" onclick="adminResetUsage('+id+')">'+t('act_reset')+'</button> <button class="btn btn-outline btn-sm" onclick="adminShowRuns('+id+')">'+t('act_runs')+'</button></td></tr>';
+    });
+    el.innerHTML = h+'</tbody></table>'+pager('adminInstalls', d);
+  } catch(e){ adminFail(el, e); }
+}
+
+async function adminAction(path, body){
+  try { await adminApi(path, body || {}); } catch(e){ alert(e.message); }
+  loadAdmin();
+}
+
+function adminSetPlan(id){
+  var plan = prompt(t('ask_plan'), 'pro');
+  if(!plan) return;
+  var limit = prompt(t('ask_limit'), '');
+  if(limit===null) return;
+  var body = { plan: plan.trim() };
+  if(limit.trim()) body.pr_limit = Number(limit);
+  adminAction('/installations/'+id+'/plan', body);
+}
+
+function adminResetUsage(id){
+  if(confirm(t('ask_reset'))) adminAction('/installations/'+id+'/usage/reset');
+}
+
+function adminShowRuns(id){
+  document.getElementById('admin-inst').value = id;
+  adminRuns(0);
+}
+
+async function adminRuns(offset){
+  var el = document.getElementById('admin-runs');
+  adminOffsets.runs = offset;
+  try {
+    var status = document.getElementById('admin-status').value;
+    var inst = document.getElementById('admin-inst').value.trim();
+    var d = await adminApi('/runs?limit=20&offset='+offset+(status ? '&status='+status : '')+(inst ? '&installation_id='+encodeURIComponent(inst) : ''));
+    if(!d.runs.length){ el.innerHTML = '<div class="empty">'+t('no_entries')+'</div>'; return; }
+    var h = '<table><thead><tr><th>Run</th><th>'+t('th_account')+'</th><th>'+t('th_repo')+'</th><th>'+t('th_kind')+'</th><th>'+t('th_status')+'</th><th>'+t('th_date')+'</th></tr></thead><tbody>';
+    d.runs.forEach(function(r){
+      h += '<tr><td><a onclick="adminRun('+r.id+')" style="cursor:pointer">#'+r.id+'</a></td><td>'+escHtml(r.account_login || r.installation_id)+'</td><td><a href="https://github.com/'+r.repo+'/issues/'+r.issue_number+'">'+r.repo+'#'+r.issue_number+'</a></td><td>'+r.kind+'</td><td><span class="badge '+badgeClass(r.status)+'">'+r.status+'</span></td><td>'+r.created_at+'</td></tr>';
+    });
+    el.innerHTML = h+'</tbody></table>'+pager('adminRuns', d);
+  } catch(e){ adminFail(el, e); }
+}
+
+async function adminRun(id){
+  var el = document.getElementById('admin-run');
+  el.style.display = '';
+  try {
+    var r = (await adminApi('/runs/'+id)).run;
+    var h = runDetailHtml(r);
+    if(r.status==='queued' || r.status==='processing') h += '<button class="btn-danger" onclick="adminCancel('+r.id+')">'+t('act_cancel')+'</button> ';
+    if(r.kind==='fix' && r.status!=='success') h += '<button class="btn btn-outline btn-sm" onclick="adminRedrive('+r.id+')">'+t('act_redrive')+'</button>';
+    el.innerHTML = h;
+  } catch(e){ adminFail(el, e); }
+}
+
+async function adminCancel(id){
+  if(!confirm(t('ask_cancel').replace('{id}', id))) return;
+  await adminAction('/runs/'+id+'/cancel');
+  adminRun(id);
+}
+
+async function adminRedrive(id){
+  if(!confirm(t('ask_redrive'))) return;
+  try {
+    var d = await adminApi('/runs/'+id+'/redrive', {});
+    adminRun(d.run_id);
+  } catch(e){ alert(e.message); }
+  loadAdmin();
+}
+
+async function adminAudit(){
+  var el = document.getElementById('admin-audit');
+  try {
+    var d = await adminApi('/audit?action=admin_&limit=20');
+    if(!d.entries.length){ el.innerHTML = '<div class="empty">'+t('no_entries')+'</div>'; return; }
+    var h = '<table><thead><tr><th>'+t('th_time')+'</th><th>'+t('th_actor')+'</th><th>'+t('th_action')+'</th><th>'+t('th_target')+'</th><th>'+t('th_detail')+'</th></tr></thead><tbody>';
+    d.entries.forEach(function(a){
+      h += '<tr><td>'+a.created_at+'</td><td>'+escHtml(a.actor)+'</td><td>'+a.action+'</td><td>'+escHtml(a.target || '')+'</td><td><code>'+escHtml(JSON.stringify(a.detail))+'</code></td></tr>';
+    });
+    el.innerHTML = h+'</tbody></table>';
+  } catch(e){ adminFail(el, e); }
+}
+
 applyLang();
 checkAuth();
 loadPublicStats();
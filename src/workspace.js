@@ -0,0 +1,157 @@
+/**
+ * frost-autofix per-run workspaces
+ * Each repo has one bare cache (MIRRORS_DIR/<owner>--<repo>.git) whose remote branches live under
+ * refs/remotes/origin/*. Every run gets its own detached `git worktree` on the base branch, so runs
+ * never share a checkout and concurrent consumers cannot corrupt each other's state.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { promisify } = require("util");
+const { execFile } = require("child_process");
+const { authEnv } = require("./credentials");
+
+const execFileAsync = promisify(execFile);
+
+const MIRRORS_DIR = process.env.AUTOFIX_MIRRORS_DIR || "/root/repos/mirrors";
+const WORKSPACES_DIR = process.env.AUTOFIX_WORKSPACES_DIR || "/root/repos/runs";
+const MAX_WORKSPACE_MB = Number(process.env.AUTOFIX_MAX_WORKSPACE_MB) || 2048;
+const MAX_WORKSPACE_FILES = Number(process.env.AUTOFIX_MAX_WORKSPACE_FILES) || 200000;
+const LOCK_STALE_MS = 10 * 60 * 1000;
+
+for (const dir of [MIRRORS_DIR, WORKSPACES_DIR]) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+/**
+ * Refresh the repo's cache and check out a fresh worktree for one run, on the base branch or, when
+ * `ref` names a remote branch (the PR branch of a revision), on that branch's head.
+ * Returns { dir, home, gitDir, mirror, base, baseSha, cleanup }: baseSha is the commit checked out,
+ * home is a scratch HOME for the run's tools, gitDir the worktree's private git metadata. cleanup()
+ * is safe to call more than once. Errors that retrying cannot fix (missing base branch, repo over
+ * the limits) carry permanent: true.
+ */
+async function prepareWorkspace(task, { id, base, branch, ref, signal }) {
+  const mirror = path.join(MIRRORS_DIR, `${task.repo.replace("/", "--")}.git`);
+  const dir = path.join(WORKSPACES_DIR, id);
+  const home = `${dir}.home`;
+  const git = (args, opts = {}) => run("git", args, { cwd: mirror, signal, ...opts });
+
+  return withLock(`${mirror}.lock`, async () => {
+    if (!fs.existsSync(mirror)) {
+      await run("git", ["clone", "--bare", "--quiet", `https://github.com/${task.repo}.git`, mirror], { signal });
+      await git(["config", "remote.origin.fetch", "+refs/heads/*:refs/remotes/origin/*"]);
+    }
+    await git(["fetch", "--prune", "--quiet", "origin"]);
+
+    // The remote's real default branch, whatever it is called
+    const head = await git(["ls-remote", "--symref", "origin", "HEAD"]);
+    const defaultBranch = head.match(/^ref: refs\/heads\/(\S+)\s+HEAD/m)?.[1];
+    base = base || defaultBranch;
+    if (!base) throw permanent(`Could not determine the default branch of ${task.repo}`);
+    const resolve = async name => (await git(["rev-parse", "--verify", "--quiet", `refs/remotes/origin/${name}^{commit}`]).catch(() => "")).trim();
+    let baseSha = await resolve(base);
+    if (!baseSha) throw permanent(`Base branch "${base}" does not exist in ${task.repo}`);
+    if (ref) {
+      baseSha = await resolve(ref);
+      if (!baseSha) throw permanent(`Branch "${ref}" no longer exists in ${task.repo}`);
+    }
+
+    await checkLimits(git, baseSha, task.repo);
+
+    // Leftovers from an earlier attempt of the same task
+    await removeWorktree(mirror, dir, branch);
+    await git(["worktree", "add", "--detach", "--quiet", dir, baseSha]);
+    const gitDir = path.resolve(dir, (await run("git", ["rev-parse", "--git-dir"], { cwd: dir })).trim());
+    fs.mkdirSync(home, { recursive: true });
+
+    let removed = false;
+    const cleanup = async () => {
+      if (removed) return;
+      removed = true;
+      await withLock(`${mirror}.lock`, () => removeWorktree(mirror, dir, branch));
+    };
+    return { dir, home, gitDir, mirror, base, baseSha, cleanup };
+  });
+}
+
+// File count and size come from the tree object, before anything is written to disk
+async function checkLimits(git, sha, repo) {
+  const listing = await git(["ls-tree", "-r", "-l", sha], { maxBuffer: 256 * 1024 * 1024 });
+  let files = 0;
+  let bytes = 0;
+  for (const line of listing.split("\n")) {
+    if (!line) continue;
+    files++;
+    const size = Number(line.split(/\s+/)[3]);
+    if (size) bytes += size;
+  }
+  const mb = Math.ceil(bytes / 1024 / 1024);
+  if (files > MAX_WORKSPACE_FILES) throw permanent(`${repo} has ${files} files, over the ${MAX_WORKSPACE_FILES} file limit`);
+  if (mb > MAX_WORKSPACE_MB) throw permanent(`${repo} checks out to ${mb} MB, over the ${MAX_WORKSPACE_MB} MB limit`);
+}
+
+async function removeWorktree(mirror, dir, branch) {
+  const git = args => run("git", args, { cwd: mirror }).catch(() => "");
+  if (fs.existsSync(dir)) await git(["worktree", "remove", "--force", dir]);
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.rmSync(`${dir}.home`, { recursive: true, force: true });
+  await git(["worktree", "prune"]);
+  if (branch) await git(["branch", "-D", branch]);
+}
+
+// Remove workspaces left behind by consumers that died mid-run; activeIds are tasks still leased.
+// Another consumer may lease a task after activeIds was read, so only workspaces older than
+// minAgeMs (the lease timeout) are taken to be abandoned.
+async function sweepWorkspaces(activeIds, { minAgeMs = 0 } = {}) {
+  for (const name of fs.readdirSync(WORKSPACES_DIR)) {
+    if (activeIds.includes(name.replace(/\.home$/, ""))) continue;
+    const file = path.join(WORKSPACES_DIR, name);
+    let mtimeMs;
+    try { ({ mtimeMs } = fs.statSync(file)); } catch (_) { continue; } // swept by another consumer
+    if (Date.now() - mtimeMs < minAgeMs) continue;
+    fs.rmSync(file, { recursive: true, force: true });
+  }
+  for (const name of fs.readdirSync(MIRRORS_DIR)) {
+    if (name.endsWith(".git")) await run("git", ["worktree", "prune"], { cwd: path.join(MIRRORS_DIR, name) }).catch(() => "");
+  }
+}
+
+// Cross-process lock around cache mutations (fetch, worktree add/remove)
+async function withLock(lockFile, fn) {
+  for (;;) {
+    try {
+      fs.closeSync(fs.openSync(lockFile, "wx"));
+      break;
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+      try {
+        if (Date.now() - fs.statSync(lockFile).mtimeMs > LOCK_STALE_MS) fs.unlinkSync(lockFile);
+      } catch (_) { /* released meanwhile */ }
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    fs.rmSync(lockFile, { force: true });
+  }
+}
+
+async function run(command, args, { cwd, signal, maxBuffer = 10 * 1024 * 1024 } = {}) {
+  try {
+    const { stdout } = await execFileAsync(command, args, { cwd, signal, env: authEnv(), timeout: 300000, encoding: "utf-8", maxBuffer });
+    return stdout;
+  } catch (e) {
+    if (signal?.aborted) throw e;
+    throw new Error(`${command} ${args[0]} failed: ${(e.stderr || e.message).slice(0, 500)}`);
+  }
+}
+
+function permanent(message) {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+}
+
+module.exports = { prepareWorkspace, sweepWorkspaces };
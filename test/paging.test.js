@@ -0,0 +1,24 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// The Worker's modules are ES modules
+const load = () => import("../src/paging.js");
+
+test("pageParams defaults to 50 rows from the start", async () => {
+  const { pageParams } = await load();
+  assert.deepEqual(pageParams(new URLSearchParams("")), { limit: 50, offset: 0 });
+});
+
+test("pageParams clamps limit to 1..200 and offset to 0 and up", async () => {
+  const { pageParams } = await load();
+  const of = query => pageParams(new URLSearchParams(query));
+  assert.deepEqual(of("limit=20&offset=40"), { limit: 20, offset: 40 });
+  assert.deepEqual(of("limit=5000&offset=-3"), { limit: 200, offset: 0 });
+  assert.deepEqual(of("limit=-1"), { limit: 1, offset: 0 });
+});
+
+test("pageParams ignores values that are not numbers", async () => {
+  const { pageParams } = await load();
+  assert.deepEqual(pageParams(new URLSearchParams("limit=all&offset=x")), { limit: 50, offset: 0 });
+  assert.deepEqual(pageParams(new URLSearchParams("limit=0")), { limit: 50, offset: 0 });
+});
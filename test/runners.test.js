@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { selectRunner, runAgent } = require("../src/runners");
+
+const task = { repo: "octo-org/api", issue_number: 7, installation_id: 42 };
+
+test("selectRunner prefers the repo, then the installation, then the default", () => {
+  const file = {
+    default: "a",
+    runners: { a: { type: "mock" }, b: { type: "mock" }, c: { type: "mock" } },
+    installations: { 42: "b" },
+    repos: { "octo-org/api": "c" },
+  };
+  assert.equal(selectRunner(task, file).name, "c");
+  assert.equal(selectRunner({ ...task, repo: "octo-org/web" }, file).name, "b");
+  assert.equal(selectRunner({ ...task, repo: "octo-org/web", installation_id: 1 }, file).name, "a");
+  assert.equal(selectRunner(task, {}).name, "openclaw");
+});
+
+test("selectRunner rejects unknown runners and types", () => {
+  assert.throws(() => selectRunner(task, { default: "nope" }), /Unknown runner "nope"/);
+  assert.throws(() => selectRunner(task, { default: "x", runners: { x: { type: "ssh" } } }), /unknown type "ssh"/);
+});
+
+test("the mock runner replays its configured result and diff", async () => {
+  const runner = selectRunner(task, {
+    default: "m",
+    runners: {
+      m: {
+        type: "mock",
+        result: { outcome: "pr_opened", pr_url: "https://github.com/octo-org/api/pull/12" },
+        diff: "diff --git a/x b/x\n",
+      },
+    },
+  });
+  const result = await runAgent(runner, task, "prompt", { dir: null, baseSha: null });
+  assert.match(result.output, /^mock fix for octo-org\/api#7\n/);
+  assert.match(result.output, /AUTOFIX_RESULT \{"outcome":"pr_opened"/);
+  assert.equal(result.prUrl, "https://github.com/octo-org/api/pull/12");
+  assert.equal(result.diff, "diff --git a/x b/x\n");
+  assert.deepEqual(result.usage, { input_tokens: 0, output_tokens: 0 });
+});
+
+test("the built-in mock runner reports no_fix without a diff", async () => {
+  const result = await runAgent(selectRunner(task, { default: "mock" }), task, "prompt", { dir: null, baseSha: null });
+  assert.match(result.output, /"outcome":"no_fix"/);
+  assert.equal(result.diff, "");
+  assert.equal(result.prUrl, null);
+});
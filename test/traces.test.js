@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { locateSuspects, renderSuspects, readWorkspaceFile } = require("../src/traces");
+
+// A throwaway checkout; traces only map to files git tracks
+function checkout(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "autofix-traces-"));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  execFileSync("git", ["init", "-q"], { cwd: dir });
+  execFileSync("git", ["add", "-A"], { cwd: dir });
+  return dir;
+}
+
+const lines = n => Array.from({ length: n }, (_, i) => `line ${i + 1}`).join("\n");
+
+test("JavaScript frames map to repo files, innermost first, without node_modules", t => {
+  const dir = checkout({ "src/date.js": lines(20), "src/app.js": lines(50) });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const trace = [
+    "TypeError: Cannot read properties of undefined (reading 'getTime')",
+    "    at parseDate (/home/alice/project/src/date.js:12:7)",
+    "    at Object.<anonymous> (/home/alice/project/node_modules/lib/index.js:3:1)",
+    "    at handler (/home/alice/project/src/app.js:40:3)",
+  ].join("\n");
+  const suspects = locateSuspects([trace], dir);
+  assert.deepEqual(suspects.map(s => [s.file, s.line, s.function]), [["src/date.js", 12, "parseDate"], ["src/app.js", 40, "handler"]]);
+  assert.ok(suspects[0].score > suspects[1].score);
+  assert.match(suspects[0].excerpt, /^ 8 \| line 8$/m);
+  assert.match(suspects[0].excerpt, /^12>\| line 12$/m);
+});
+
+test("Python tracebacks count the last frame as innermost", t => {
+  const dir = checkout({ "pkg/cli.py": lines(30), "pkg/core.py": lines(30) });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const trace = [
+    "Traceback (most recent call last):",
+    '  File "/srv/app/pkg/cli.py", line 5, in main',
+    "    run()",
+    '  File "/usr/lib/python3.11/runpy.py", line 88, in _run_code',
+    '  File "/srv/app/pkg/core.py", line 21, in run',
+    "    return int(value)",
+    "ValueError: invalid literal for int()",
+  ].join("\n");
+  const suspects = locateSuspects([trace], dir);
+  assert.deepEqual(suspects.map(s => [s.file, s.line]), [["pkg/core.py", 21], ["pkg/cli.py", 5]]);
+  assert.match(renderSuspects(suspects), /^1\. `pkg\/core\.py:21`（run）/);
+});
+
+test("frames seen in several traces rank above single mentions", t => {
+  const dir = checkout({ "src/a.js": lines(10), "src/b.js": lines(10) });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const one = "Error: boom\n    at f (src/a.js:2:1)\n    at g (src/b.js:3:1)";
+  const two = "Error: boom\n    at g (src/b.js:3:1)";
+  assert.deepEqual(locateSuspects([one, two], dir).map(s => s.file), ["src/b.js", "src/a.js"]);
+});
+
+test("lines past the end of the file and untracked files are dropped", t => {
+  const dir = checkout({ "src/a.js": lines(5) });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  assert.deepEqual(locateSuspects(["Error\n    at f (src/a.js:99:1)\n    at g (src/other.js:1:1)"], dir), []);
+});
+
+test("symlinks are never followed for excerpts", t => {
+  const outside = fs.mkdtempSync(path.join(os.tmpdir(), "autofix-secret-"));
+  fs.writeFileSync(path.join(outside, "secret.js"), "TOKEN=hunter2\n");
+  const dir = checkout({ "src/a.js": lines(5) });
+  fs.symlinkSync(path.join(outside, "secret.js"), path.join(dir, "src/link.js"));
+  fs.symlinkSync(outside, path.join(dir, "lib"));
+  execFileSync("git", ["add", "-A"], { cwd: dir });
+  t.after(() => [dir, outside].forEach(d => fs.rmSync(d, { recursive: true, force: true })));
+
+  assert.equal(readWorkspaceFile(dir, "src/link.js"), null);
+  assert.equal(readWorkspaceFile(dir, "lib/secret.js"), null);
+  assert.equal(readWorkspaceFile(dir, "../" + path.basename(outside) + "/secret.js"), null);
+  assert.equal(readWorkspaceFile(dir, "src/a.js"), lines(5));
+  assert.deepEqual(locateSuspects(["Error\n    at f (src/link.js:1:1)"], dir), []);
+});